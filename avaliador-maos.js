@@ -0,0 +1,533 @@
+/**
+ * SISTEMA DE AVALIAÇÃO DE MÃOS TEXAS HOLD'EM
+ * Arquivo: avaliador-maos.js
+ * Responsável por: Ranking da melhor mão de 5 cartas, desempate por kickers, comparação de mãos
+ */
+
+import { sortCards, createHandHash } from './baralho-texas.js';
+
+// ================ CONSTANTES DE RANKING ================
+export const HAND_RANKINGS = {
+    HIGH_CARD: { rank: 1, name: 'Carta Alta' },
+    ONE_PAIR: { rank: 2, name: 'Par' },
+    TWO_PAIR: { rank: 3, name: 'Dois Pares' },
+    THREE_OF_A_KIND: { rank: 4, name: 'Trinca' },
+    STRAIGHT: { rank: 5, name: 'Sequência' },
+    FLUSH: { rank: 6, name: 'Flush' },
+    FULL_HOUSE: { rank: 7, name: 'Full House' },
+    FOUR_OF_A_KIND: { rank: 8, name: 'Quadra' },
+    STRAIGHT_FLUSH: { rank: 9, name: 'Straight Flush' },
+    ROYAL_FLUSH: { rank: 10, name: 'Royal Flush' }
+};
+
+// Short Deck (6+): sem 2 a 5 o flush fica mais raro e passa a valer mais que o full house
+export const SHORT_DECK_HAND_RANKINGS = {
+    ...HAND_RANKINGS,
+    FULL_HOUSE: { rank: 6, name: 'Full House' },
+    FLUSH: { rank: 7, name: 'Flush' }
+};
+
+// Nomes dos valores em português (singular e plural)
+export const RANK_NAMES = {
+    14: { singular: 'Ás', plural: 'Ases' },
+    13: { singular: 'Rei', plural: 'Reis' },
+    12: { singular: 'Dama', plural: 'Damas' },
+    11: { singular: 'Valete', plural: 'Valetes' },
+    10: { singular: 'Dez', plural: 'Dez' },
+    9: { singular: 'Nove', plural: 'Noves' },
+    8: { singular: 'Oito', plural: 'Oitos' },
+    7: { singular: 'Sete', plural: 'Setes' },
+    6: { singular: 'Seis', plural: 'Seis' },
+    5: { singular: 'Cinco', plural: 'Cincos' },
+    4: { singular: 'Quatro', plural: 'Quatros' },
+    3: { singular: 'Três', plural: 'Treses' },
+    2: { singular: 'Dois', plural: 'Dois' }
+};
+
+// Base usada para compor o valor numérico da mão (cada desempate ocupa 4 bits)
+const VALUE_BASE = 16;
+const TIEBREAK_SLOTS = 5;
+
+// Low 8-or-better: cinco valores distintos de 8 para baixo (Ás vale 1)
+export const LOW_QUALIFIER = 8;
+
+// ================ CLASSE AVALIADOR DE MÃOS ================
+export class HandEvaluator {
+    constructor(options = {}) {
+        this.shortDeck = options.shortDeck || false; // Regras do Short Deck (flush > full house, A-6-7-8-9)
+        this.cache = new Map(); // createHandHash -> avaliação
+        this.maxCacheSize = 5000;
+    }
+    
+    // Avalia a melhor mão de 5 cartas entre as cartas do jogador e as comunitárias
+    evaluate(playerCards = [], communityCards = []) {
+        const allCards = [...playerCards, ...communityCards];
+        
+        if (allCards.length === 0) {
+            throw new Error('Nenhuma carta para avaliar');
+        }
+        
+        const hash = createHandHash(allCards);
+        if (this.cache.has(hash)) {
+            return this.cache.get(hash);
+        }
+        
+        let best = null;
+        
+        if (allCards.length <= 5) {
+            best = evaluateCards(allCards, this.shortDeck);
+        } else {
+            for (const combo of getCombinations(allCards, 5)) {
+                const evaluation = evaluateCards(combo, this.shortDeck);
+                if (!best || evaluation.value > best.value) {
+                    best = evaluation;
+                }
+            }
+        }
+        
+        this.saveToCache(hash, best);
+        return best;
+    }
+    
+    // Avalia mão de Omaha: exatamente 2 cartas da mão + 3 do board
+    evaluateOmaha(holeCards = [], communityCards = []) {
+        if (holeCards.length < 2) {
+            throw new Error(`Omaha exige pelo menos 2 cartas na mão (recebidas: ${holeCards.length})`);
+        }
+        if (communityCards.length < 3) {
+            throw new Error(`Omaha exige pelo menos 3 cartas no board (recebidas: ${communityCards.length})`);
+        }
+        
+        const hash = `omaha:${createHandHash(holeCards)}|${createHandHash(communityCards)}`;
+        if (this.cache.has(hash)) {
+            return this.cache.get(hash);
+        }
+        
+        const boardCombos = getCombinations(communityCards, 3);
+        let best = null;
+        
+        for (const holeCombo of getCombinations(holeCards, 2)) {
+            for (const boardCombo of boardCombos) {
+                const evaluation = evaluateCards([...holeCombo, ...boardCombo], this.shortDeck);
+                if (!best || evaluation.value > best.value) {
+                    best = evaluation;
+                }
+            }
+        }
+        
+        this.saveToCache(hash, best);
+        return best;
+    }
+    
+    // Avalia o melhor low 8-or-better do Omaha (2 da mão + 3 do board) ou null se não qualifica
+    evaluateOmahaLow(holeCards = [], communityCards = []) {
+        if (holeCards.length < 2 || communityCards.length < 3) {
+            return null;
+        }
+        
+        const hash = `omaha-low:${createHandHash(holeCards)}|${createHandHash(communityCards)}`;
+        if (this.cache.has(hash)) {
+            return this.cache.get(hash);
+        }
+        
+        const boardCombos = getCombinations(communityCards, 3);
+        let best = null;
+        
+        for (const holeCombo of getCombinations(holeCards, 2)) {
+            for (const boardCombo of boardCombos) {
+                const evaluation = evaluateLowCards([...holeCombo, ...boardCombo]);
+                if (evaluation && (!best || evaluation.value < best.value)) {
+                    best = evaluation;
+                }
+            }
+        }
+        
+        this.saveToCache(hash, best);
+        return best;
+    }
+    
+    // Avalia o melhor low 8-or-better com quaisquer 5 cartas (Stud Hi-Lo) ou null se não qualifica
+    evaluateLow(cards = []) {
+        if (cards.length < 5) {
+            return null;
+        }
+        
+        const hash = `low:${createHandHash(cards)}`;
+        if (this.cache.has(hash)) {
+            return this.cache.get(hash);
+        }
+        
+        let best = null;
+        
+        for (const combo of getCombinations(cards, 5)) {
+            const evaluation = evaluateLowCards(combo);
+            if (evaluation && (!best || evaluation.value < best.value)) {
+                best = evaluation;
+            }
+        }
+        
+        this.saveToCache(hash, best);
+        return best;
+    }
+    
+    // Avalia a melhor mão de Razz (A-5 lowball) entre as cartas informadas
+    evaluateRazz(cards = []) {
+        if (cards.length === 0) {
+            throw new Error('Nenhuma carta para avaliar');
+        }
+        
+        const hash = `razz:${createHandHash(cards)}`;
+        if (this.cache.has(hash)) {
+            return this.cache.get(hash);
+        }
+        
+        let best = null;
+        
+        if (cards.length <= 5) {
+            best = evaluateRazzCards(cards);
+        } else {
+            for (const combo of getCombinations(cards, 5)) {
+                const evaluation = evaluateRazzCards(combo);
+                if (!best || evaluation.value > best.value) {
+                    best = evaluation;
+                }
+            }
+        }
+        
+        this.saveToCache(hash, best);
+        return best;
+    }
+    
+    // Compara duas avaliações (positivo se A for melhor, negativo se B for melhor, 0 se empate exato)
+    compareHands(handA, handB) {
+        return compareHands(handA, handB);
+    }
+    
+    // Encontra as avaliações vencedoras (inclui todas empatadas para split pot)
+    findWinners(evaluationsByPlayer) {
+        return findWinners(evaluationsByPlayer);
+    }
+    
+    // Salva avaliação no cache, descartando a mais antiga se necessário
+    saveToCache(hash, evaluation) {
+        if (this.cache.size >= this.maxCacheSize) {
+            const oldestKey = this.cache.keys().next().value;
+            this.cache.delete(oldestKey);
+        }
+        this.cache.set(hash, evaluation);
+    }
+    
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+// ================ FUNÇÕES DE AVALIAÇÃO ================
+
+// Avalia até 5 cartas (menos de 5 só formam pares, trincas e quadras; shortDeck aplica o ranking do 6+)
+export function evaluateCards(cards, shortDeck = false) {
+    if (!cards || cards.length === 0 || cards.length > 5) {
+        throw new Error(`Quantidade de cartas inválida para avaliação: ${cards?.length || 0}`);
+    }
+    
+    const rankings = shortDeck ? SHORT_DECK_HAND_RANKINGS : HAND_RANKINGS;
+    const sorted = sortCards(cards);
+    const groups = groupByValue(sorted);
+    
+    const isFlush = cards.length === 5 && cards.every(card => card.suit === cards[0].suit);
+    const straightHigh = cards.length === 5 ? getStraightHighCard(sorted, shortDeck) : 0;
+    
+    let ranking;
+    let tiebreakers;
+    let orderedCards;
+    
+    if (straightHigh && isFlush) {
+        ranking = straightHigh === 14 ? rankings.ROYAL_FLUSH : rankings.STRAIGHT_FLUSH;
+        tiebreakers = [straightHigh];
+        orderedCards = orderStraight(sorted, straightHigh);
+    } else if (groups[0].count === 4) {
+        ranking = rankings.FOUR_OF_A_KIND;
+        tiebreakers = groups.map(g => g.value);
+        orderedCards = groups.flatMap(g => g.cards);
+    } else if (groups[0].count === 3 && groups[1]?.count === 2) {
+        ranking = rankings.FULL_HOUSE;
+        tiebreakers = [groups[0].value, groups[1].value];
+        orderedCards = groups.flatMap(g => g.cards);
+    } else if (isFlush) {
+        ranking = rankings.FLUSH;
+        tiebreakers = sorted.map(c => c.value);
+        orderedCards = sorted;
+    } else if (straightHigh) {
+        ranking = rankings.STRAIGHT;
+        tiebreakers = [straightHigh];
+        orderedCards = orderStraight(sorted, straightHigh);
+    } else if (groups[0].count === 3) {
+        ranking = rankings.THREE_OF_A_KIND;
+        tiebreakers = groups.map(g => g.value);
+        orderedCards = groups.flatMap(g => g.cards);
+    } else if (groups[0].count === 2 && groups[1]?.count === 2) {
+        ranking = rankings.TWO_PAIR;
+        tiebreakers = groups.map(g => g.value);
+        orderedCards = groups.flatMap(g => g.cards);
+    } else if (groups[0].count === 2) {
+        ranking = rankings.ONE_PAIR;
+        tiebreakers = groups.map(g => g.value);
+        orderedCards = groups.flatMap(g => g.cards);
+    } else {
+        ranking = rankings.HIGH_CARD;
+        tiebreakers = sorted.map(c => c.value);
+        orderedCards = sorted;
+    }
+    
+    return {
+        rank: ranking.rank,
+        value: calculateHandValue(ranking.rank, tiebreakers),
+        hand: ranking.name,
+        cards: orderedCards,
+        kickers: tiebreakers,
+        description: describeHand(ranking, tiebreakers)
+    };
+}
+
+// Avalia low de exatamente 5 cartas (menor valor vence) ou null se não qualifica
+export function evaluateLowCards(cards, qualifier = LOW_QUALIFIER) {
+    if (!cards || cards.length !== 5) {
+        throw new Error(`Low exige exatamente 5 cartas: ${cards?.length || 0}`);
+    }
+    
+    const lowValues = cards.map(card => card.value === 14 ? 1 : card.value);
+    if (new Set(lowValues).size !== 5 || lowValues.some(value => value > qualifier)) {
+        return null;
+    }
+    
+    const ordered = cards
+        .map((card, index) => ({ card, lowValue: lowValues[index] }))
+        .sort((a, b) => b.lowValue - a.lowValue);
+    const ranks = ordered.map(item => item.lowValue);
+    
+    return {
+        value: calculateHandValue(0, ranks), // Menor valor = melhor low
+        cards: ordered.map(item => item.card),
+        ranks: ranks,
+        description: `Low ${ranks.map(rank => rank === 1 ? 'A' : rank).join('-')}`
+    };
+}
+
+// Avalia até 5 cartas no Razz: Ás vale 1, sequências e flushes não contam, pares pioram a mão.
+// value é invertido (maior = melhor low) para comparar como uma mão high; lowValue mantém a escala do low
+export function evaluateRazzCards(cards) {
+    if (!cards || cards.length === 0 || cards.length > 5) {
+        throw new Error(`Quantidade de cartas inválida para avaliação: ${cards?.length || 0}`);
+    }
+    
+    const groupMap = new Map();
+    cards.forEach(card => {
+        const lowValue = card.value === 14 ? 1 : card.value;
+        if (!groupMap.has(lowValue)) {
+            groupMap.set(lowValue, []);
+        }
+        groupMap.get(lowValue).push(card);
+    });
+    
+    // Grupos maiores primeiro (o par pesa mais que os kickers), depois do maior para o menor valor
+    const groups = Array.from(groupMap.entries())
+        .map(([value, groupCards]) => ({ value, count: groupCards.length, cards: groupCards }))
+        .sort((a, b) => b.count - a.count || b.value - a.value);
+    
+    let ranking;
+    if (groups[0].count === 4) {
+        ranking = HAND_RANKINGS.FOUR_OF_A_KIND;
+    } else if (groups[0].count === 3 && groups[1]?.count === 2) {
+        ranking = HAND_RANKINGS.FULL_HOUSE;
+    } else if (groups[0].count === 3) {
+        ranking = HAND_RANKINGS.THREE_OF_A_KIND;
+    } else if (groups[0].count === 2 && groups[1]?.count === 2) {
+        ranking = HAND_RANKINGS.TWO_PAIR;
+    } else if (groups[0].count === 2) {
+        ranking = HAND_RANKINGS.ONE_PAIR;
+    } else {
+        ranking = HAND_RANKINGS.HIGH_CARD;
+    }
+    
+    const ranks = groups.flatMap(g => g.cards.map(() => g.value));
+    const lowValue = calculateHandValue(ranking.rank, groups.map(g => g.value));
+    const rankText = ranks.map(rank => ({ 1: 'A', 11: 'J', 12: 'Q', 13: 'K' })[rank] || rank).join('-');
+    
+    return {
+        rank: ranking.rank,
+        value: -lowValue,
+        lowValue: lowValue,
+        hand: ranking === HAND_RANKINGS.HIGH_CARD ? 'Low' : ranking.name,
+        cards: groups.flatMap(g => g.cards),
+        ranks: ranks,
+        description: ranking === HAND_RANKINGS.HIGH_CARD ? `Low ${rankText}` : `${ranking.name}: ${rankText}`
+    };
+}
+
+// Compara duas avaliações
+export function compareHands(handA, handB) {
+    return handA.value - handB.value;
+}
+
+// Compara dois lows (positivo se A for melhor, ou seja, menor)
+export function compareLowHands(lowA, lowB) {
+    return lowB.value - lowA.value;
+}
+
+// Retorna os IDs dos jogadores com a melhor mão (vários em caso de empate exato)
+export function findWinners(evaluationsByPlayer) {
+    const entries = Object.entries(evaluationsByPlayer);
+    if (entries.length === 0) return [];
+    
+    const bestValue = Math.max(...entries.map(([, evaluation]) => evaluation.value));
+    
+    return entries
+        .filter(([, evaluation]) => evaluation.value === bestValue)
+        .map(([playerId]) => playerId);
+}
+
+// Calcula valor numérico único: categoria seguida dos desempates em ordem de importância
+export function calculateHandValue(rank, tiebreakers) {
+    let value = rank;
+    
+    for (let i = 0; i < TIEBREAK_SLOTS; i++) {
+        value = value * VALUE_BASE + (tiebreakers[i] || 0);
+    }
+    
+    return value;
+}
+
+// Gera todas as combinações de k cartas
+export function getCombinations(cards, k) {
+    const combinations = [];
+    const combo = [];
+    
+    const build = (start) => {
+        if (combo.length === k) {
+            combinations.push([...combo]);
+            return;
+        }
+        for (let i = start; i <= cards.length - (k - combo.length); i++) {
+            combo.push(cards[i]);
+            build(i + 1);
+            combo.pop();
+        }
+    };
+    
+    build(0);
+    return combinations;
+}
+
+// ================ FUNÇÕES AUXILIARES ================
+
+// Agrupa cartas por valor, ordenando por quantidade e depois por valor
+function groupByValue(sortedCards) {
+    const groupMap = new Map();
+    
+    sortedCards.forEach(card => {
+        if (!groupMap.has(card.value)) {
+            groupMap.set(card.value, []);
+        }
+        groupMap.get(card.value).push(card);
+    });
+    
+    return Array.from(groupMap.entries())
+        .map(([value, cards]) => ({ value, count: cards.length, cards }))
+        .sort((a, b) => b.count - a.count || b.value - a.value);
+}
+
+// Retorna a carta mais alta da sequência (5 para o wheel A-2-3-4-5, 9 para A-6-7-8-9 no Short Deck) ou 0
+function getStraightHighCard(sortedCards, shortDeck = false) {
+    const values = sortedCards.map(c => c.value);
+    if (new Set(values).size !== 5) return 0;
+    
+    if (values[0] - values[4] === 4) {
+        return values[0];
+    }
+    
+    // Wheel: A-5-4-3-2 (no Short Deck o Ás fecha A-9-8-7-6)
+    const wheelHigh = shortDeck ? 9 : 5;
+    if (values[0] === 14 && values[1] === wheelHigh && values[4] === wheelHigh - 3) {
+        return wheelHigh;
+    }
+    
+    return 0;
+}
+
+// Ordena sequência para exibição (no wheel o Ás vai para o final)
+function orderStraight(sortedCards, highCard) {
+    if (highCard !== 14 && sortedCards[0].value === 14) {
+        return [...sortedCards.slice(1), sortedCards[0]];
+    }
+    return sortedCards;
+}
+
+// Descrição da mão em português
+function describeHand(ranking, tiebreakers) {
+    const [first, second] = tiebreakers;
+    const singular = (value) => RANK_NAMES[value]?.singular || value;
+    const plural = (value) => RANK_NAMES[value]?.plural || value;
+    
+    switch (ranking.name) {
+        case HAND_RANKINGS.ROYAL_FLUSH.name:
+            return 'Royal Flush';
+        case HAND_RANKINGS.STRAIGHT_FLUSH.name:
+            return `Straight Flush até ${singular(first)}`;
+        case HAND_RANKINGS.FOUR_OF_A_KIND.name:
+            return `Quadra de ${plural(first)}`;
+        case HAND_RANKINGS.FULL_HOUSE.name:
+            return `Full House: ${plural(first)} com ${plural(second)}`;
+        case HAND_RANKINGS.FLUSH.name:
+            return `Flush, ${singular(first)} alto`;
+        case HAND_RANKINGS.STRAIGHT.name:
+            return `Sequência até ${singular(first)}`;
+        case HAND_RANKINGS.THREE_OF_A_KIND.name:
+            return `Trinca de ${plural(first)}`;
+        case HAND_RANKINGS.TWO_PAIR.name:
+            return `Dois Pares: ${plural(first)} e ${plural(second)}`;
+        case HAND_RANKINGS.ONE_PAIR.name:
+            return `Par de ${plural(first)}`;
+        default:
+            return `Carta Alta: ${singular(first)}`;
+    }
+}
+
+// Exemplo de uso rápido:
+/*
+import { createDeck } from './baralho-texas.js';
+import { HandEvaluator } from './avaliador-maos.js';
+
+const deck = createDeck();
+const evaluator = new HandEvaluator();
+const hand = deck.deal(2, true);
+const board = deck.deal(5, true);
+
+const result = evaluator.evaluate(hand, board);
+console.log(result.hand, '-', result.description);
+
+// Omaha: 4 cartas na mão, usa exatamente 2 delas
+const omaha = evaluator.evaluateOmaha(deck.deal(4, true), board);
+
+// Short Deck: flush vale mais que full house e A-6-7-8-9 é sequência
+const shortDeckEvaluator = new HandEvaluator({ shortDeck: true });
+
+// Razz: melhor low A-5 de 7 cartas (maior value = melhor low)
+const razz = evaluator.evaluateRazz(deck.deal(7, true));
+*/
+
+// Exporta tudo
+export default {
+    HAND_RANKINGS,
+    SHORT_DECK_HAND_RANKINGS,
+    RANK_NAMES,
+    LOW_QUALIFIER,
+    HandEvaluator,
+    evaluateCards,
+    evaluateLowCards,
+    evaluateRazzCards,
+    compareHands,
+    compareLowHands,
+    findWinners,
+    calculateHandValue,
+    getCombinations
+};
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * AVALIADOR DE MÃOS DE ALTA PERFORMANCE
+ * Arquivo: avaliador-rapido.js
+ * Responsável por: Codificação de cartas em inteiros, tabelas pré-calculadas, avaliação em massa (simulações e bots)
+ */
+
+import { PokerCard, SUITS, RANKS } from './baralho-texas.js';
+import { HAND_RANKINGS, calculateHandValue } from './avaliador-maos.js';
+
+// ================ CODIFICAÇÃO DE CARTAS ================
+// Cada carta vira um inteiro 0-51: (valor - 2) * 4 + índice do naipe
+const SUIT_KEYS = Object.keys(SUITS);   // ['HEARTS', 'DIAMONDS', 'CLUBS', 'SPADES']
+const RANK_KEYS = Object.keys(RANKS);   // ['2', ..., 'A']
+const SUIT_INDEX = Object.fromEntries(SUIT_KEYS.map((suit, index) => [suit, index]));
+
+const MASK_SIZE = 1 << 13;              // Uma máscara de 13 bits por valor (2 a A)
+const VALUE_BASE = 16;
+const RANK_DIVISOR = VALUE_BASE ** 5;   // Separa a categoria dos desempates
+
+// ================ TABELAS PRÉ-CALCULADAS ================
+const BIT_COUNT = new Uint8Array(MASK_SIZE);      // Quantidade de bits ligados
+const STRAIGHT_HIGH = new Uint8Array(MASK_SIZE);  // Carta alta da melhor sequência (0 = nenhuma)
+const FLUSH_VALUES = new Float64Array(MASK_SIZE); // Valor de flush/straight flush por máscara de naipe
+const UNIQUE_VALUES = new Float64Array(MASK_SIZE); // Valor de sequência/carta alta por máscara de valores
+
+buildTables();
+
+function buildTables() {
+    for (let mask = 1; mask < MASK_SIZE; mask++) {
+        BIT_COUNT[mask] = BIT_COUNT[mask >> 1] + (mask & 1);
+    }
+    
+    for (let mask = 0; mask < MASK_SIZE; mask++) {
+        STRAIGHT_HIGH[mask] = findStraightHigh(mask);
+        
+        if (BIT_COUNT[mask] < 5) continue;
+        
+        const straightHigh = STRAIGHT_HIGH[mask];
+        const topFive = topValues(mask, 5);
+        
+        if (straightHigh) {
+            const ranking = straightHigh === 14 ? HAND_RANKINGS.ROYAL_FLUSH : HAND_RANKINGS.STRAIGHT_FLUSH;
+            FLUSH_VALUES[mask] = calculateHandValue(ranking.rank, [straightHigh]);
+            UNIQUE_VALUES[mask] = calculateHandValue(HAND_RANKINGS.STRAIGHT.rank, [straightHigh]);
+        } else {
+            FLUSH_VALUES[mask] = calculateHandValue(HAND_RANKINGS.FLUSH.rank, topFive);
+            UNIQUE_VALUES[mask] = calculateHandValue(HAND_RANKINGS.HIGH_CARD.rank, topFive);
+        }
+    }
+}
+
+// Carta mais alta da sequência presente na máscara (5 para o wheel)
+function findStraightHigh(mask) {
+    for (let top = 12; top >= 4; top--) {
+        const run = 0b11111 << (top - 4);
+        if ((mask & run) === run) return top + 2;
+    }
+    
+    // Wheel: A-2-3-4-5
+    const wheel = (1 << 12) | 0b1111;
+    return (mask & wheel) === wheel ? 5 : 0;
+}
+
+// Maiores valores (2-14) presentes na máscara, em ordem decrescente
+function topValues(mask, count) {
+    const values = [];
+    for (let bit = 12; bit >= 0 && values.length < count; bit--) {
+        if (mask & (1 << bit)) values.push(bit + 2);
+    }
+    return values;
+}
+
+// Compõe o valor na mesma escala de calculateHandValue (avaliador-maos.js)
+function packValue(rank, a = 0, b = 0, c = 0, d = 0, e = 0) {
+    return (((((rank * VALUE_BASE + a) * VALUE_BASE + b) * VALUE_BASE + c) * VALUE_BASE + d) * VALUE_BASE + e);
+}
+
+// Maior valor presente na máscara ignorando o bit excluído
+function highestExcept(mask, excludedMask) {
+    const remaining = mask & ~excludedMask;
+    for (let bit = 12; bit >= 0; bit--) {
+        if (remaining & (1 << bit)) return bit + 2;
+    }
+    return 0;
+}
+
+// ================ FUNÇÕES DE CODIFICAÇÃO ================
+
+// Converte PokerCard em inteiro 0-51
+export function cardToId(card) {
+    const suitIndex = SUIT_INDEX[card.suit];
+    if (suitIndex === undefined || !card.value) {
+        throw new Error(`Carta inválida para codificação: ${card?.display || card}`);
+    }
+    return (card.value - 2) * 4 + suitIndex;
+}
+
+// Converte inteiro 0-51 em PokerCard
+export function idToCard(id) {
+    if (!Number.isInteger(id) || id < 0 || id > 51) {
+        throw new Error(`ID de carta inválido: ${id}`);
+    }
+    return new PokerCard(SUIT_KEYS[id & 3], RANK_KEYS[id >> 2]);
+}
+
+export function cardsToIds(cards) {
+    return cards.map(cardToId);
+}
+
+export function idsToCards(ids) {
+    return ids.map(idToCard);
+}
+
+// ================ AVALIAÇÃO ================
+
+// Avalia de 5 a 7 cartas codificadas; retorna o mesmo valor de HandEvaluator.evaluate
+export function evaluateIds(ids) {
+    const count = ids.length;
+    if (count < 5 || count > 7) {
+        throw new Error(`Avaliador rápido aceita de 5 a 7 cartas (recebeu ${count})`);
+    }
+    
+    let suit0 = 0, suit1 = 0, suit2 = 0, suit3 = 0;
+    let rankMask = 0;
+    const counts = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+    
+    for (let i = 0; i < count; i++) {
+        const id = ids[i];
+        const rankIndex = id >> 2;
+        const bit = 1 << rankIndex;
+        
+        switch (id & 3) {
+            case 0: suit0 |= bit; break;
+            case 1: suit1 |= bit; break;
+            case 2: suit2 |= bit; break;
+            default: suit3 |= bit; break;
+        }
+        
+        rankMask |= bit;
+        counts[rankIndex]++;
+    }
+    
+    // Com até 7 cartas, um flush exclui quadra e full house
+    if (BIT_COUNT[suit0] >= 5) return FLUSH_VALUES[suit0];
+    if (BIT_COUNT[suit1] >= 5) return FLUSH_VALUES[suit1];
+    if (BIT_COUNT[suit2] >= 5) return FLUSH_VALUES[suit2];
+    if (BIT_COUNT[suit3] >= 5) return FLUSH_VALUES[suit3];
+    
+    // Sem repetições: sequência ou carta alta direto da tabela
+    if (BIT_COUNT[rankMask] === count) {
+        return UNIQUE_VALUES[rankMask];
+    }
+    
+    let quad = -1, tripA = -1, tripB = -1, pairA = -1, pairB = -1;
+    
+    for (let r = 12; r >= 0; r--) {
+        const n = counts[r];
+        if (n === 4) {
+            quad = r;
+        } else if (n === 3) {
+            if (tripA < 0) tripA = r; else tripB = r;
+        } else if (n === 2) {
+            if (pairA < 0) pairA = r; else if (pairB < 0) pairB = r;
+        }
+    }
+    
+    if (quad >= 0) {
+        return packValue(HAND_RANKINGS.FOUR_OF_A_KIND.rank, quad + 2, highestExcept(rankMask, 1 << quad));
+    }
+    
+    if (tripA >= 0 && (tripB >= 0 || pairA >= 0)) {
+        const pairRank = Math.max(tripB, pairA);
+        return packValue(HAND_RANKINGS.FULL_HOUSE.rank, tripA + 2, pairRank + 2);
+    }
+    
+    const straightHigh = STRAIGHT_HIGH[rankMask];
+    if (straightHigh) {
+        return packValue(HAND_RANKINGS.STRAIGHT.rank, straightHigh);
+    }
+    
+    if (tripA >= 0) {
+        const kickers = topValues(rankMask & ~(1 << tripA), 2);
+        return packValue(HAND_RANKINGS.THREE_OF_A_KIND.rank, tripA + 2, kickers[0], kickers[1]);
+    }
+    
+    if (pairB >= 0) {
+        const kicker = highestExcept(rankMask, (1 << pairA) | (1 << pairB));
+        return packValue(HAND_RANKINGS.TWO_PAIR.rank, pairA + 2, pairB + 2, kicker);
+    }
+    
+    const kickers = topValues(rankMask & ~(1 << pairA), 3);
+    return packValue(HAND_RANKINGS.ONE_PAIR.rank, pairA + 2, kickers[0], kickers[1], kickers[2]);
+}
+
+// Avalia PokerCards pelo caminho rápido
+export function evaluateFast(cards) {
+    return evaluateIds(cardsToIds(cards));
+}
+
+// Extrai categoria (1-10) de um valor
+export function getHandRank(value) {
+    return Math.floor(value / RANK_DIVISOR);
+}
+
+// Nome da categoria em português
+export function getHandName(value) {
+    const rank = getHandRank(value);
+    const ranking = Object.values(HAND_RANKINGS).find(r => r.rank === rank);
+    return ranking ? ranking.name : 'Desconhecida';
+}
+
+// Avalia várias mãos contra o mesmo board; retorna valores na mesma ordem
+export function evaluateManyIds(hands, boardIds = []) {
+    return hands.map(holeIds => evaluateIds([...holeIds, ...boardIds]));
+}
+
+// Exporta tudo
+export default {
+    cardToId,
+    idToCard,
+    cardsToIds,
+    idsToCards,
+    evaluateIds,
+    evaluateFast,
+    evaluateManyIds,
+    getHandRank,
+    getHandName
+};
\ No newline at end of file
@@ -28,6 +28,20 @@ export const RANKS = {
     'A': { value: 14, symbol: 'A' }
 };
 
+// Configurações de baralho (quais valores de RANKS entram no reset)
+export const DECK_CONFIGS = {
+    STANDARD: {
+        id: 'standard',
+        name: 'Baralho completo',
+        ranks: Object.keys(RANKS)                                   // 52 cartas
+    },
+    SHORT_DECK: {
+        id: 'short-deck',
+        name: 'Short Deck (6+)',
+        ranks: Object.keys(RANKS).filter(rank => RANKS[rank].value >= 6) // 36 cartas, sem 2 a 5
+    }
+};
+
 // ================ CLASSE CARTA ================
 export class PokerCard {
     constructor(suit, rank) {
@@ -107,24 +121,27 @@ export class PokerCard {
 
 // ================ CLASSE BARALHO ================
 export class PokerDeck {
-    constructor() {
+    constructor(random = Math.random, deckConfig = DECK_CONFIGS.STANDARD) {
+        this.random = random;       // Gerador [0, 1) padrão do embaralhamento (injetável para seed)
+        this.deckConfig = getDeckConfig(deckConfig); // Valores usados no reset (ex: Short Deck sem 2-5)
         this.cards = [];
         this.burnedCards = [];
         this.usedCards = [];
         this.reset();
     }
     
-    // Reseta o baralho para 52 cartas novas
-    reset() {
+    // Reseta o baralho para cartas novas (52 no padrão, 36 no Short Deck)
+    reset(deckConfig = this.deckConfig) {
         console.log('♠️ Resetting deck...');
+        this.deckConfig = getDeckConfig(deckConfig);
         this.cards = [];
         this.burnedCards = [];
         this.usedCards = [];
         
         const suits = Object.keys(SUITS);
-        const ranks = Object.keys(RANKS);
+        const ranks = this.deckConfig.ranks;
         
-        // Cria 52 cartas
+        // Cria uma carta de cada naipe para cada valor da configuração
         for (let suit of suits) {
             for (let rank of ranks) {
                 this.cards.push(new PokerCard(suit, rank));
@@ -135,13 +152,13 @@ export class PokerDeck {
         return this.cards;
     }
     
-    // Embaralha usando Fisher-Yates algorithm
-    shuffle() {
+    // Embaralha usando Fisher-Yates algorithm (random: função [0, 1), ex. seed do embaralhamento justo)
+    shuffle(random = this.random) {
         console.log('🔀 Shuffling deck...');
         let currentIndex = this.cards.length;
         
         while (currentIndex !== 0) {
-            const randomIndex = Math.floor(Math.random() * currentIndex);
+            const randomIndex = Math.floor(random() * currentIndex);
             currentIndex--;
             
             // Troca as cartas
@@ -242,6 +259,7 @@ export class PokerDeck {
     // Converte para JSON para salvar estado
     toJSON() {
         return {
+            deckConfig: this.deckConfig.id,
             remainingCards: this.cards.map(c => c.toJSON()),
             usedCards: this.usedCards.map(c => c.toJSON()),
             burnedCards: this.burnedCards.map(c => c.toJSON())
@@ -249,8 +267,8 @@ export class PokerDeck {
     }
     
     // Restaura de JSON
-    static fromJSON(jsonData) {
-        const deck = new PokerDeck();
+    static fromJSON(jsonData, random = Math.random) {
+        const deck = new PokerDeck(random, jsonData.deckConfig || DECK_CONFIGS.STANDARD.id);
         deck.cards = jsonData.remainingCards.map(cardData => {
             const card = new PokerCard(cardData.suit, cardData.rank);
             card.faceUp = cardData.faceUp;
@@ -272,9 +290,20 @@ export class PokerDeck {
 
 // ================ FUNÇÕES ÚTEIS ================
 
+// Obtém configuração de baralho pelo id ('standard', 'short-deck') ou aceita o próprio objeto
+export function getDeckConfig(deckConfig) {
+    if (deckConfig && typeof deckConfig === 'object') return deckConfig;
+    
+    const config = Object.values(DECK_CONFIGS).find(c => c.id === deckConfig);
+    if (!config) {
+        throw new Error(`Configuração de baralho inválida: ${deckConfig}`);
+    }
+    return config;
+}
+
 // Cria um novo baralho pronto
-export function createDeck(shuffle = true) {
-    const deck = new PokerDeck();
+export function createDeck(shuffle = true, random = Math.random, deckConfig = DECK_CONFIGS.STANDARD) {
+    const deck = new PokerDeck(random, deckConfig);
     if (shuffle) deck.shuffle();
     return deck;
 }
@@ -350,6 +379,8 @@ const turn = deck.deal(1, true); // Turn
 deck.burnCard();
 const river = deck.deal(1, true); // River
 
+const shortDeck = createDeck(true, Math.random, 'short-deck'); // 36 cartas (6 até Ás)
+
 console.log('Sua mão:', formatCardsForDisplay(hand));
 console.log('Board:', formatCardsForDisplay([...flop, ...turn, ...river]));
 */
@@ -358,8 +389,10 @@ console.log('Board:', formatCardsForDisplay([...flop, ...turn, ...river]));
 export default {
     SUITS,
     RANKS,
+    DECK_CONFIGS,
     PokerCard,
     PokerDeck,
+    getDeckConfig,
     createDeck,
     sortCards,
     filterBySuit,
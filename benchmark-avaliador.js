@@ -0,0 +1,108 @@
+/**
+ * BENCHMARK DO AVALIADOR DE MÃOS
+ * Arquivo: benchmark-avaliador.js
+ * Responsável por: Medir avaliações por segundo e conferir o avaliador rápido contra o avaliador de objetos
+ *
+ * Uso (offline, Node 20+): node benchmark-avaliador.js [mãos] [rodadas]
+ */
+
+import { HandEvaluator } from './avaliador-maos.js';
+import { evaluateIds, idsToCards, getHandName } from './avaliador-rapido.js';
+
+// ================ CONFIGURAÇÃO ================
+const HAND_COUNT = parseInt(process.argv[2], 10) || 200000;
+const ROUNDS = parseInt(process.argv[3], 10) || 5;
+const VERIFY_SAMPLE = Math.min(HAND_COUNT, 20000);
+
+// ================ GERAÇÃO DE MÃOS ================
+
+// Gera mãos aleatórias de 7 cartas sem repetição (Fisher-Yates parcial)
+function generateHands(count) {
+    const hands = new Array(count);
+    const deck = Array.from({ length: 52 }, (_, i) => i);
+    
+    for (let h = 0; h < count; h++) {
+        for (let i = 0; i < 7; i++) {
+            const j = i + Math.floor(Math.random() * (52 - i));
+            [deck[i], deck[j]] = [deck[j], deck[i]];
+        }
+        hands[h] = deck.slice(0, 7);
+    }
+    
+    return hands;
+}
+
+// ================ VERIFICAÇÃO ================
+
+// Confere que os dois avaliadores produzem o mesmo valor
+function verify(hands) {
+    const evaluator = new HandEvaluator();
+    let mismatches = 0;
+    
+    for (let i = 0; i < VERIFY_SAMPLE; i++) {
+        const fastValue = evaluateIds(hands[i]);
+        const objectValue = evaluator.evaluate(idsToCards(hands[i])).value;
+        
+        if (fastValue !== objectValue) {
+            mismatches++;
+            if (mismatches <= 5) {
+                console.error(`❌ Divergência na mão ${hands[i].join(',')}: rápido=${fastValue} objeto=${objectValue}`);
+            }
+        }
+    }
+    
+    return mismatches;
+}
+
+// ================ MEDIÇÃO ================
+
+function measure(label, hands, evaluateFn) {
+    let checksum = 0;
+    const start = process.hrtime.bigint();
+    
+    for (let r = 0; r < ROUNDS; r++) {
+        for (let i = 0; i < hands.length; i++) {
+            checksum += evaluateFn(hands[i]);
+        }
+    }
+    
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const total = hands.length * ROUNDS;
+    const perSecond = Math.round(total / (elapsedMs / 1000));
+    
+    console.log(`⏱️ ${label}: ${total} avaliações em ${elapsedMs.toFixed(1)}ms (${perSecond.toLocaleString('pt-BR')}/s)`);
+    return { total, elapsedMs, perSecond, checksum };
+}
+
+function run() {
+    console.log(`🎲 Gerando ${HAND_COUNT} mãos de 7 cartas...`);
+    const hands = generateHands(HAND_COUNT);
+    
+    console.log(`🔍 Conferindo ${VERIFY_SAMPLE} mãos contra HandEvaluator...`);
+    const mismatches = verify(hands);
+    if (mismatches > 0) {
+        console.error(`❌ ${mismatches} divergência(s) encontradas`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log('✅ Avaliadores concordam em todas as mãos conferidas');
+    
+    // Distribuição de categorias como sanidade
+    const frequency = {};
+    hands.slice(0, VERIFY_SAMPLE).forEach(hand => {
+        const name = getHandName(evaluateIds(hand));
+        frequency[name] = (frequency[name] || 0) + 1;
+    });
+    console.log('📊 Categorias:', frequency);
+    
+    measure('Avaliador rápido', hands, evaluateIds);
+    
+    const objectHands = hands.slice(0, Math.min(hands.length, 20000)).map(idsToCards);
+    const evaluator = new HandEvaluator();
+    measure('Avaliador de objetos', objectHands, cards => {
+        evaluator.clearCache();
+        return evaluator.evaluate(cards).value;
+    });
+}
+
+run();
\ No newline at end of file
@@ -0,0 +1,354 @@
+/**
+ * SISTEMA DE EMBARALHAMENTO COMPROVADAMENTE JUSTO
+ * Arquivo: embaralhamento-justo.js
+ * Responsável por: Seed do servidor, compromisso (hash) antes da entropia dos jogadores, revelação e verificação
+ */
+
+import { PokerDeck } from './baralho-texas.js';
+
+// ================ SHA-256 ================
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// Hash SHA-256 síncrono de uma string (UTF-8), retorna hex
+export function sha256(message) {
+    const bytes = new TextEncoder().encode(String(message));
+    const bitLength = bytes.length * 8;
+    
+    // Padding: 0x80, zeros, tamanho em bits (64 bits big-endian)
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(paddedLength);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+    
+    const hash = [
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+        0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ];
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+        
+        let [a, b, c, d, e, f, g, h] = hash;
+        
+        for (let i = 0; i < 64; i++) {
+            const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const temp1 = (h + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+            const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (S0 + maj) >>> 0;
+            
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) >>> 0;
+        }
+        
+        hash[0] = (hash[0] + a) >>> 0;
+        hash[1] = (hash[1] + b) >>> 0;
+        hash[2] = (hash[2] + c) >>> 0;
+        hash[3] = (hash[3] + d) >>> 0;
+        hash[4] = (hash[4] + e) >>> 0;
+        hash[5] = (hash[5] + f) >>> 0;
+        hash[6] = (hash[6] + g) >>> 0;
+        hash[7] = (hash[7] + h) >>> 0;
+    }
+    
+    return hash.map(word => word.toString(16).padStart(8, '0')).join('');
+}
+
+// ================ GERADORES DE NÚMEROS ================
+
+// Gera seed aleatória com gerador criptográfico (hex de 64 caracteres)
+export function generateServerSeed() {
+    const cryptoSource = globalThis.crypto;
+    if (!cryptoSource || typeof cryptoSource.getRandomValues !== 'function') {
+        throw new Error('Gerador criptográfico indisponível neste ambiente');
+    }
+    
+    const bytes = new Uint8Array(32);
+    cryptoSource.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Cria gerador determinístico [0, 1) a partir de uma seed (SHA-256 em modo contador);
+// state (de getState) retoma a sequência do ponto em que foi salva
+export function createSeededRandom(seed, state = {}) {
+    let counter = state.counter || 0;
+    let words = [...(state.words || [])];
+    
+    const nextWord = () => {
+        if (words.length === 0) {
+            const block = sha256(`${seed}:${counter++}`);
+            for (let i = 0; i < 64; i += 8) {
+                words.push(parseInt(block.slice(i, i + 8), 16));
+            }
+        }
+        return words.shift();
+    };
+    
+    // 53 bits de precisão: 27 bits do primeiro word + 26 bits do segundo
+    const random = () => ((nextWord() >>> 5) * 67108864 + (nextWord() >>> 6)) / 9007199254740992;
+    random.getState = () => ({ counter: counter, words: [...words] });
+    random.setState = (saved) => {
+        counter = saved.counter || 0;
+        words = [...(saved.words || [])];
+    };
+    return random;
+}
+
+// Sequência determinística de seeds do servidor (modo de replay: previsível, não usar em mesas reais)
+export function createSeedSequence(seed, state = {}) {
+    let counter = state.counter || 0;
+    const nextSeed = () => sha256(`${seed}:server:${counter++}`);
+    nextSeed.getState = () => ({ counter: counter });
+    return nextSeed;
+}
+
+// ================ COMPROMISSO E SEEDS ================
+
+// Compromisso publicado antes da mão
+export function createCommitment(serverSeed) {
+    return sha256(serverSeed);
+}
+
+// Combina entropia dos jogadores em uma única seed do cliente (ordem dos jogadores não importa)
+export function combinePlayerEntropy(playerEntropy = {}) {
+    const entries = playerEntropy instanceof Map
+        ? Array.from(playerEntropy.entries())
+        : Object.entries(playerEntropy);
+    
+    const joined = entries
+        .map(([playerId, entropy]) => `${playerId}=${entropy}`)
+        .sort()
+        .join('|');
+    
+    return sha256(joined);
+}
+
+// Seed final do baralho: servidor + jogadores + número da mão
+export function deriveDeckSeed(serverSeed, clientSeed, nonce) {
+    return sha256(`${serverSeed}:${clientSeed}:${nonce}`);
+}
+
+// Embaralha a partir da ordem padrão do baralho e retorna a ordem resultante (ids)
+export function shuffleDeckWithSeed(deck, deckSeed) {
+    deck.reset();
+    deck.shuffle(createSeededRandom(deckSeed));
+    return deck.cards.map(card => card.id);
+}
+
+// ================ CLASSE EMBARALHADOR JUSTO ================
+export class FairShuffle {
+    constructor(options = {}) {
+        this.generateSeed = options.generateSeed || generateServerSeed; // Substituível no modo determinístico
+        this.serverSeed = null;
+        this.commitment = null;
+        this.clientSeed = null;
+        this.nonce = null;
+        this.deckConfig = null;
+        this.deckOrder = [];
+        this.pendingEntropy = new Map(); // playerId -> entropia enviada para a próxima mão
+        this.history = [];               // Revelações das mãos anteriores
+        
+        if (options.state) {
+            this.restoreState(options.state);
+        } else {
+            this.commitNextHand();
+        }
+    }
+    
+    // Gera a seed do servidor da próxima mão e publica o compromisso (antes de aceitar entropia dos jogadores)
+    commitNextHand() {
+        this.serverSeed = this.generateSeed();
+        this.commitment = createCommitment(this.serverSeed);
+        this.clientSeed = null;
+        this.nonce = null;
+        this.deckConfig = null;
+        this.deckOrder = [];
+        this.pendingEntropy.clear();
+        
+        console.log(`🔒 Compromisso da próxima mão: ${this.commitment}`);
+        return this.getPublicCommitment();
+    }
+    
+    // Jogador contribui com entropia para a próxima mão (só depois do compromisso dela)
+    addPlayerEntropy(playerId, entropy) {
+        if (!playerId || entropy === undefined || entropy === null || String(entropy).length === 0) {
+            throw new Error('Entropia inválida');
+        }
+        if (this.clientSeed !== null) {
+            throw new Error('Mão em andamento: entropia só é aceita após o compromisso da próxima mão');
+        }
+        this.pendingEntropy.set(playerId, String(entropy));
+        console.log(`🎲 Entropia recebida de ${playerId}`);
+        return true;
+    }
+    
+    // Ao dar as cartas: combina a entropia recebida com a seed já comprometida
+    prepareHand(nonce) {
+        // Mão anterior não revelada (interrompida): revela e compromete uma seed nova antes de combinar
+        if (this.clientSeed !== null) {
+            this.reveal();
+        }
+        
+        this.clientSeed = combinePlayerEntropy(this.pendingEntropy);
+        this.nonce = nonce;
+        this.deckOrder = [];
+        this.pendingEntropy.clear();
+        
+        console.log(`🎲 Mão ${nonce}: entropia combinada com o compromisso ${this.commitment}`);
+        return this.getPublicCommitment();
+    }
+    
+    // Embaralha o baralho usando a seed combinada
+    shuffleDeck(deck) {
+        if (this.clientSeed === null) {
+            throw new Error('Mão não preparada: entropia dos jogadores não combinada');
+        }
+        
+        const deckSeed = deriveDeckSeed(this.serverSeed, this.clientSeed, this.nonce);
+        this.deckConfig = deck.deckConfig.id;
+        this.deckOrder = shuffleDeckWithSeed(deck, deckSeed);
+        return this.deckOrder;
+    }
+    
+    // Dados públicos antes da mão
+    getPublicCommitment() {
+        return {
+            commitment: this.commitment,
+            clientSeed: this.clientSeed,
+            nonce: this.nonce
+        };
+    }
+    
+    // Revela a seed após a mão e compromete a seed da mão seguinte
+    reveal() {
+        if (this.clientSeed === null) return null;
+        
+        const revelation = {
+            serverSeed: this.serverSeed,
+            commitment: this.commitment,
+            clientSeed: this.clientSeed,
+            nonce: this.nonce,
+            deckConfig: this.deckConfig,
+            deckOrder: [...this.deckOrder]
+        };
+        
+        this.history.push(revelation);
+        if (this.history.length > 100) {
+            this.history.shift();
+        }
+        
+        console.log(`🔓 Seed revelada da mão ${revelation.nonce}`);
+        
+        this.commitNextHand();
+        return revelation;
+    }
+    
+    // Estado completo para salvar a mesa (inclui a seed ainda não revelada: nunca publicar)
+    getState() {
+        return {
+            serverSeed: this.serverSeed,
+            commitment: this.commitment,
+            clientSeed: this.clientSeed,
+            nonce: this.nonce,
+            deckConfig: this.deckConfig,
+            deckOrder: [...this.deckOrder],
+            pendingEntropy: Object.fromEntries(this.pendingEntropy),
+            history: [...this.history],
+            generatorState: this.generateSeed.getState ? this.generateSeed.getState() : null
+        };
+    }
+    
+    // Retoma de getState (o gerador de seeds é restaurado por quem cria o embaralhador)
+    restoreState(state) {
+        this.serverSeed = state.serverSeed;
+        this.commitment = state.commitment;
+        this.clientSeed = state.clientSeed ?? null;
+        this.nonce = state.nonce ?? null;
+        this.deckConfig = state.deckConfig || null;
+        this.deckOrder = [...(state.deckOrder || [])];
+        this.pendingEntropy = new Map(Object.entries(state.pendingEntropy || {}));
+        this.history = [...(state.history || [])];
+    }
+    
+    toJSON() {
+        return {
+            ...this.getPublicCommitment(),
+            historyCount: this.history.length
+        };
+    }
+}
+
+// ================ VERIFICAÇÃO ================
+
+// Verifica uma mão revelada: compromisso confere e a ordem do baralho é re-derivada exatamente
+export function verifyShuffle({ serverSeed, commitment, clientSeed, nonce, deckConfig = null, deckOrder = null }) {
+    const commitmentValid = createCommitment(serverSeed) === commitment;
+    const deck = new PokerDeck(Math.random, deckConfig || 'standard');
+    const derivedOrder = shuffleDeckWithSeed(deck, deriveDeckSeed(serverSeed, clientSeed, nonce));
+    const orderMatches = deckOrder
+        ? deckOrder.length === derivedOrder.length && deckOrder.every((id, index) => id === derivedOrder[index])
+        : true;
+    
+    return {
+        valid: commitmentValid && orderMatches,
+        commitmentValid: commitmentValid,
+        orderMatches: orderMatches,
+        deckOrder: derivedOrder
+    };
+}
+
+// Exemplo de uso rápido:
+/*
+import { PokerDeck } from './baralho-texas.js';
+import { FairShuffle, verifyShuffle } from './embaralhamento-justo.js';
+
+const fair = new FairShuffle();          // Já publica o compromisso da primeira mão
+fair.addPlayerEntropy('player1', 'minha frase secreta');
+const published = fair.prepareHand(1);   // Publica { commitment, clientSeed, nonce }
+fair.shuffleDeck(new PokerDeck());
+// ... mão jogada ...
+const revealed = fair.reveal();          // Publica serverSeed e ordem do baralho; compromete a mão seguinte
+console.log(verifyShuffle(revealed).valid); // true
+*/
+
+// Exporta tudo
+export default {
+    sha256,
+    generateServerSeed,
+    createSeededRandom,
+    createSeedSequence,
+    createCommitment,
+    combinePlayerEntropy,
+    deriveDeckSeed,
+    shuffleDeckWithSeed,
+    FairShuffle,
+    verifyShuffle
+};
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * SISTEMA DE CÁLCULO DE EQUIDADE
+ * Arquivo: equidade.js
+ * Responsável por: Equidade de mãos (vitória, empate, equity) por enumeração exata ou Monte Carlo
+ */
+
+import { PokerCard } from './baralho-texas.js';
+import { cardToId, evaluateIds } from './avaliador-rapido.js';
+import { parseCard } from './notacao-cartas.js';
+
+// ================ CONSTANTES ================
+export const EQUITY_DEFAULTS = {
+    iterations: 20000,        // Amostras do Monte Carlo
+    exactThreshold: 100000,   // Máximo de boards para enumerar exatamente
+    dead: []                  // Cartas mortas (queimadas, descartadas, vistas)
+};
+
+const BOARD_SIZE = 5;
+const DECK_SIZE = 52; // Ids 0-51 do avaliador rápido
+
+// ================ FUNÇÃO PRINCIPAL ================
+
+// Calcula equidade de N mãos com board parcial (cartas como PokerCard ou id 'AH')
+export function calculateEquity(hands, board = [], options = {}) {
+    const settings = { ...EQUITY_DEFAULTS, ...options };
+    
+    if (!Array.isArray(hands) || hands.length < 2) {
+        throw new Error('São necessárias pelo menos 2 mãos para calcular equidade');
+    }
+    if (board.length > BOARD_SIZE) {
+        throw new Error(`Board inválido: ${board.length} cartas`);
+    }
+    
+    const handCards = hands.map((hand, index) => {
+        if (!Array.isArray(hand) || hand.length !== 2) {
+            throw new Error(`Mão ${index + 1} deve ter exatamente 2 cartas`);
+        }
+        return hand.map(resolveCard);
+    });
+    const boardCards = board.map(resolveCard);
+    const deadCards = settings.dead.map(resolveCard);
+    
+    assertNoDuplicates([...handCards.flat(), ...boardCards, ...deadCards]);
+    
+    const holeIds = handCards.map(cards => cards.map(cardToId));
+    const boardIds = boardCards.map(cardToId);
+    const remainingIds = getRemainingIds([...handCards.flat(), ...boardCards, ...deadCards]);
+    
+    const missing = BOARD_SIZE - boardIds.length;
+    const combinations = countCombinations(remainingIds.length, missing);
+    const useExact = combinations <= settings.exactThreshold;
+    
+    const tally = useExact
+        ? enumerateBoards(holeIds, boardIds, remainingIds, missing)
+        : sampleBoards(holeIds, boardIds, remainingIds, missing, settings.iterations, settings.rng || Math.random);
+    
+    return buildResult(tally, handCards, boardCards, useExact ? 'exact' : 'monte-carlo');
+}
+
+// ================ FUNÇÕES DE SHOWDOWN ================
+
+// Índices das mãos vencedoras para um board completo (cartas codificadas)
+export function getShowdownWinners(holeIds, boardIds) {
+    let bestValue = -1;
+    let winners = [];
+    
+    for (let i = 0; i < holeIds.length; i++) {
+        const value = evaluateIds([holeIds[i][0], holeIds[i][1], ...boardIds]);
+        
+        if (value > bestValue) {
+            bestValue = value;
+            winners = [i];
+        } else if (value === bestValue) {
+            winners.push(i);
+        }
+    }
+    
+    return winners;
+}
+
+// Cria contadores zerados para N jogadores
+export function createTally(playerCount) {
+    return {
+        trials: 0,
+        wins: new Array(playerCount).fill(0),
+        ties: new Array(playerCount).fill(0),
+        equity: new Array(playerCount).fill(0)
+    };
+}
+
+// Registra o resultado de um board nos contadores
+export function recordShowdown(tally, winners) {
+    tally.trials++;
+    
+    const share = 1 / winners.length;
+    winners.forEach(index => {
+        if (winners.length === 1) {
+            tally.wins[index]++;
+        } else {
+            tally.ties[index]++;
+        }
+        tally.equity[index] += share;
+    });
+}
+
+// ================ ENUMERAÇÃO E AMOSTRAGEM ================
+
+// Enumera todos os boards possíveis (acumula em tally existente, se informado)
+export function enumerateBoards(holeIds, boardIds, remainingIds, missing, tally = createTally(holeIds.length)) {
+    const board = [...boardIds];
+    
+    const build = (start, depth) => {
+        if (depth === missing) {
+            recordShowdown(tally, getShowdownWinners(holeIds, board));
+            return;
+        }
+        for (let i = start; i <= remainingIds.length - (missing - depth); i++) {
+            board.push(remainingIds[i]);
+            build(i + 1, depth + 1);
+            board.pop();
+        }
+    };
+    
+    build(0, 0);
+    return tally;
+}
+
+// Amostra boards aleatórios (Fisher-Yates parcial sobre as cartas restantes)
+export function sampleBoards(holeIds, boardIds, remainingIds, missing, iterations, rng = Math.random, tally = createTally(holeIds.length)) {
+    const pool = [...remainingIds];
+    const board = [...boardIds];
+    
+    for (let t = 0; t < iterations; t++) {
+        for (let i = 0; i < missing; i++) {
+            const j = i + Math.floor(rng() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+            board[boardIds.length + i] = pool[i];
+        }
+        recordShowdown(tally, getShowdownWinners(holeIds, board));
+    }
+    
+    return tally;
+}
+
+// ================ FUNÇÕES AUXILIARES ================
+
+// Aceita PokerCard, id no formato de PokerCard.id ('AH', '10S') ou notação padrão ('Ah', 'Ts')
+export function resolveCard(card) {
+    if (card instanceof PokerCard) return card;
+    
+    if (typeof card === 'string') {
+        return parseCard(card);
+    }
+    
+    if (card && card.suit && card.rank) {
+        return new PokerCard(card.suit, card.rank);
+    }
+    
+    throw new Error(`Carta inválida: ${card}`);
+}
+
+// Garante que nenhuma carta aparece duas vezes
+export function assertNoDuplicates(cards) {
+    const seen = new Set();
+    cards.forEach(card => {
+        if (seen.has(card.id)) {
+            throw new Error(`Carta duplicada: ${card.id}`);
+        }
+        seen.add(card.id);
+    });
+}
+
+// Ids das cartas que sobram no baralho depois de remover as conhecidas (sem criar um PokerDeck)
+export function getRemainingIds(knownCards) {
+    const knownIds = new Set(knownCards.map(cardToId));
+    const remaining = [];
+    for (let id = 0; id < DECK_SIZE; id++) {
+        if (!knownIds.has(id)) remaining.push(id);
+    }
+    return remaining;
+}
+
+// C(n, k)
+export function countCombinations(n, k) {
+    if (k < 0 || k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = (result * (n - k + i)) / i;
+    }
+    return Math.round(result);
+}
+
+// Converte contadores em percentuais
+function buildResult(tally, handCards, boardCards, method) {
+    const toPercent = (count) => tally.trials > 0 ? (count / tally.trials) * 100 : 0;
+    
+    return {
+        method: method,
+        trials: tally.trials,
+        board: boardCards.map(card => card.id),
+        players: handCards.map((cards, index) => ({
+            index: index,
+            cards: cards.map(card => card.id),
+            win: toPercent(tally.wins[index]),
+            tie: toPercent(tally.ties[index]),
+            equity: toPercent(tally.equity[index])
+        }))
+    };
+}
+
+// Exemplo de uso rápido:
+/*
+import { calculateEquity } from './equidade.js';
+
+// AK de copas contra par de damas, com flop
+const result = calculateEquity([['AH', 'KH'], ['QS', 'QD']], ['2H', '7H', '9C']);
+console.log(result.players.map(p => `${p.cards.join('')}: ${p.equity.toFixed(2)}%`));
+*/
+
+// Exporta tudo
+export default {
+    EQUITY_DEFAULTS,
+    calculateEquity,
+    getShowdownWinners,
+    createTally,
+    recordShowdown,
+    enumerateBoards,
+    sampleBoards,
+    resolveCard,
+    assertNoDuplicates,
+    getRemainingIds,
+    countCombinations
+};
\ No newline at end of file
@@ -0,0 +1,338 @@
+/**
+ * SISTEMA DE ESTRUTURAS DE APOSTAS
+ * Arquivo: estruturas-apostas.js
+ * Responsável por: Limites de bet/raise por estrutura (no-limit, pot-limit, fixed-limit), cap de raises e all-ins incompletos
+ */
+
+// ================ CONSTANTES ================
+export const BETTING_LIMITS = {
+    NO_LIMIT: 'no-limit',
+    POT_LIMIT: 'pot-limit',
+    FIXED_LIMIT: 'fixed-limit'
+};
+
+// Fixed-limit: aposta pequena no preflop e flop (Stud: third e fourth street), aposta grande nas demais
+const SMALL_BET_ROUNDS = ['preflop', 'flop', 'third_street', 'fourth_street'];
+
+// Fixed-limit: um bet mais três raises por rodada
+export const DEFAULT_MAX_RAISES = 3;
+
+// ================ CLASSE BASE (NO-LIMIT) ================
+// Todas as estruturas recebem o PokerGameManager (game) para ler currentMaxBet, blinds, pote e rodada atual
+export class NoLimitStructure {
+    constructor(config = {}) {
+        this.id = BETTING_LIMITS.NO_LIMIT;
+        this.name = 'No-Limit';
+        this.config = config;
+        this.fullRaiseCount = 0;        // Bets/raises completos na rodada
+        this.actedAtRaise = new Map();  // playerId -> fullRaiseCount quando o jogador agiu pela última vez
+        this.actedAtBet = new Map();    // playerId -> aposta máxima da rodada logo após a última ação do jogador
+        this.incompleteRaise = null;    // Último all-in que aumentou sem completar um raise (não reabre a ação)
+    }
+    
+    // Bet mínimo (fichas) quando ninguém apostou na rodada
+    getMinBet(game) {
+        return game.bigBlind;
+    }
+    
+    // Incremento de um raise completo: tamanho do último bet/raise completo (game.lastRaiseAmount), no mínimo o big blind
+    getRaiseIncrement(game) {
+        return Math.max(game.lastRaiseAmount, this.getMinBet(game));
+    }
+    
+    // Raise mínimo (valor total da aposta após o raise)
+    getMinRaise(game) {
+        if (game.currentMaxBet === 0) {
+            return this.getMinBet(game);
+        }
+        
+        return game.currentMaxBet + this.getRaiseIncrement(game);
+    }
+    
+    // Aposta máxima em fichas adicionadas
+    getMaxBet(game, player) {
+        return player.chips;
+    }
+    
+    // Regras próprias da estrutura (chamado depois das validações gerais do validateAction);
+    // com a ação fechada, só call ou fold (all-in apenas se não passar da aposta atual)
+    validateAction(game, player, action, amount) {
+        if (this.canRaise(player, game)) return;
+        
+        if (action === 'raise') {
+            throw new Error('Raise não permitido: a ação não foi reaberta desde sua última decisão');
+        }
+        
+        const totalBet = player.bet + (action === 'allin' ? player.chips : amount);
+        if ((action === 'bet' || action === 'allin') && totalBet > game.currentMaxBet) {
+            throw new Error('Aumento não permitido: a ação não foi reaberta desde sua última decisão (apenas call ou fold)');
+        }
+    }
+    
+    // Um aumento da aposta máxima conta como bet/raise completo? (all-in menor que o último raise não conta)
+    isFullRaise(game, player, action, previousMaxBet) {
+        return player.bet - previousMaxBet >= this.getRaiseIncrement(game);
+    }
+    
+    // Registra blind/bring-in obrigatório que abre a rodada
+    recordForcedBet(game, amount) {
+        // No-limit e pot-limit: o tamanho do blind já está em currentMaxBet
+    }
+    
+    // Registra ação do jogador e informa se foi um raise completo (que reabre a ação)
+    recordAction(game, player, action, previousMaxBet) {
+        const raisedBet = player.bet > previousMaxBet;
+        const isFullRaise = raisedBet && this.isFullRaise(game, player, action, previousMaxBet);
+        
+        if (isFullRaise) {
+            this.fullRaiseCount++;
+            this.incompleteRaise = null;
+        } else if (raisedBet) {
+            this.incompleteRaise = {
+                playerId: player.userId,
+                amount: player.bet - previousMaxBet
+            };
+        }
+        this.markActed(game, player);
+        
+        return {
+            raisedBet: raisedBet,
+            isFullRaise: isFullRaise
+        };
+    }
+    
+    // Guarda o ponto da rodada em que o jogador decidiu (raises completos e aposta máxima até ali)
+    markActed(game, player) {
+        this.actedAtRaise.set(player.userId, this.fullRaiseCount);
+        this.actedAtBet.set(player.userId, game.currentMaxBet);
+    }
+    
+    // Ação fechada para quem já agiu: nenhum raise completo desde então, e os all-ins incompletos
+    // somados desde a sua última ação também não chegam ao tamanho de um raise completo
+    isRaiseClosed(playerId, game) {
+        if (!this.actedAtRaise.has(playerId)) return false;
+        if (this.actedAtRaise.get(playerId) < this.fullRaiseCount) return false;
+        
+        const increment = game.currentMaxBet - this.actedAtBet.get(playerId);
+        return increment < this.getRaiseIncrement(game);
+    }
+    
+    // Jogador pode aumentar? (não agiu ainda ou a ação foi reaberta depois da sua última decisão)
+    canRaise(player, game) {
+        return !this.isRaiseClosed(player.userId, game);
+    }
+    
+    // Jogadores que já agiram e não podem mais aumentar
+    getClosedPlayers(game) {
+        return Array.from(this.actedAtRaise.keys())
+            .filter(playerId => this.isRaiseClosed(playerId, game));
+    }
+    
+    // Reseta contadores para nova rodada de apostas
+    resetForNewRound() {
+        this.fullRaiseCount = 0;
+        this.actedAtRaise.clear();
+        this.actedAtBet.clear();
+        this.incompleteRaise = null;
+    }
+    
+    // Estado público da estrutura
+    getState(game) {
+        return {
+            id: this.id,
+            name: this.name,
+            minBet: this.getMinBet(game),
+            minRaise: this.getMinRaise(game),
+            raiseCount: this.fullRaiseCount,
+            lastFullRaise: game.lastRaiseAmount,
+            incompleteRaise: this.incompleteRaise,
+            raiseClosedFor: this.getClosedPlayers(game)
+        };
+    }
+}
+
+// ================ POT-LIMIT ================
+export class PotLimitStructure extends NoLimitStructure {
+    constructor(config = {}) {
+        super(config);
+        this.id = BETTING_LIMITS.POT_LIMIT;
+        this.name = 'Pot-Limit';
+    }
+    
+    // Máximo: call pendente + pote após o call
+    getMaxBet(game, player) {
+        const pendingCall = player.getCallAmount(game.currentMaxBet);
+        const potAfterCall = game.potManager.totalAmount + pendingCall;
+        
+        return Math.min(player.chips, pendingCall + potAfterCall);
+    }
+}
+
+// ================ FIXED-LIMIT ================
+export class FixedLimitStructure extends NoLimitStructure {
+    constructor(config = {}) {
+        super(config);
+        this.id = BETTING_LIMITS.FIXED_LIMIT;
+        this.name = 'Fixed-Limit';
+        this.smallBet = config.smallBet || null;    // Padrão: big blind
+        this.bigBet = config.bigBet || null;        // Padrão: 2x aposta pequena
+        this.maxRaises = config.maxRaises ?? DEFAULT_MAX_RAISES;
+        this.fullBetLevel = 0;                      // Aposta total do último bet/raise completo
+    }
+    
+    // Tamanho do bet/raise na rodada atual
+    getBetSize(game) {
+        const smallBet = this.smallBet || game.bigBlind;
+        if (SMALL_BET_ROUNDS.includes(game.currentRound)) {
+            return smallBet;
+        }
+        return this.bigBet || smallBet * 2;
+    }
+    
+    getMinBet(game) {
+        return this.getBetSize(game);
+    }
+    
+    // Raise vai sempre um bet acima do último nível completo (ou completa o nível após all-in de meia aposta)
+    getMinRaise(game) {
+        if (game.currentMaxBet === 0) {
+            return this.getBetSize(game);
+        }
+        
+        if (game.currentMaxBet < this.fullBetLevel) {
+            return this.fullBetLevel;
+        }
+        
+        return this.fullBetLevel + this.getBetSize(game);
+    }
+    
+    // Máximo em fichas adicionadas: o próprio bet/raise fixo, ou apenas o call se houver cap
+    getMaxBet(game, player) {
+        const callAmount = player.getCallAmount(game.currentMaxBet);
+        
+        if (game.currentMaxBet > 0 && (this.isCapped(game) || !this.canRaise(player, game))) {
+            return Math.min(player.chips, callAmount);
+        }
+        
+        return Math.min(player.chips, this.getMinRaise(game) - player.bet);
+    }
+    
+    // Cap atingido (bet + maxRaises), exceto quando só restam dois jogadores
+    isCapped(game) {
+        if (this.isHeadsUp(game)) return false;
+        if (game.currentMaxBet < this.fullBetLevel) return false; // Ainda pode completar o nível atual
+        return this.fullRaiseCount >= 1 + this.maxRaises;
+    }
+    
+    isHeadsUp(game) {
+        return game.playerManager.getPlayersInHand().filter(p => !p.isFolded).length <= 2;
+    }
+    
+    // Bet e raise têm valor exato (menos apenas quando o jogador não tem fichas para o valor cheio)
+    validateAction(game, player, action, amount) {
+        super.validateAction(game, player, action, amount);
+        
+        if (action === 'bet') {
+            const betSize = this.getBetSize(game);
+            if (amount !== Math.min(betSize, player.chips)) {
+                throw new Error(`Bet no fixed-limit deve ser exatamente ${betSize}`);
+            }
+        }
+        
+        if (action === 'raise') {
+            if (this.isCapped(game)) {
+                throw new Error(`Apostas encerradas nesta rodada (cap de ${1 + this.maxRaises} apostas)`);
+            }
+            
+            const raiseAmount = this.getMinRaise(game) - player.bet;
+            if (amount !== Math.min(raiseAmount, player.chips)) {
+                throw new Error(`Raise no fixed-limit deve adicionar exatamente ${raiseAmount}`);
+            }
+        }
+    }
+    
+    // All-in com pelo menos meia aposta acima do último nível conta como bet/raise completo;
+    // abaixo disso é incompleto e não reabre a ação para quem já agiu
+    isFullRaise(game, player, action, previousMaxBet) {
+        if (action !== 'allin') return true;
+        return player.bet - this.fullBetLevel >= this.getBetSize(game) / 2;
+    }
+    
+    recordForcedBet(game, amount) {
+        // O big blind (ou blind do botão) vale como o primeiro bet, mesmo se o jogador estiver all-in
+        if (amount > 0) {
+            this.fullBetLevel = this.getBetSize(game);
+            this.fullRaiseCount = 1;
+        }
+    }
+    
+    recordAction(game, player, action, previousMaxBet) {
+        const completesLevel = player.bet > previousMaxBet && player.bet <= this.fullBetLevel;
+        const result = completesLevel
+            ? { raisedBet: true, isFullRaise: false }
+            : super.recordAction(game, player, action, previousMaxBet);
+        
+        if (completesLevel) {
+            this.markActed(game, player);
+        } else if (result.isFullRaise) {
+            this.fullBetLevel += this.getBetSize(game);
+        }
+        
+        return result;
+    }
+    
+    resetForNewRound() {
+        super.resetForNewRound();
+        this.fullBetLevel = 0;
+    }
+    
+    getState(game) {
+        return {
+            ...super.getState(game),
+            betSize: this.getBetSize(game),
+            fullBetLevel: this.fullBetLevel,
+            maxRaises: this.maxRaises,
+            isCapped: this.isCapped(game)
+        };
+    }
+}
+
+// ================ REGISTRO DE ESTRUTURAS ================
+
+// Estruturas disponíveis por id (novas estruturas entram aqui)
+export const BETTING_STRUCTURES = {
+    [BETTING_LIMITS.NO_LIMIT]: NoLimitStructure,
+    [BETTING_LIMITS.POT_LIMIT]: PotLimitStructure,
+    [BETTING_LIMITS.FIXED_LIMIT]: FixedLimitStructure
+};
+
+// Cria estrutura de apostas pelo id
+export function createBettingStructure(limitId = BETTING_LIMITS.NO_LIMIT, config = {}) {
+    const Structure = BETTING_STRUCTURES[limitId];
+    if (!Structure) {
+        throw new Error(`Estrutura de apostas inválida: ${limitId}`);
+    }
+    return new Structure(config);
+}
+
+// Exemplo de uso rápido:
+/*
+import { createBettingStructure } from './estruturas-apostas.js';
+
+// Limit Hold'em 10/20: bets de 10 no preflop/flop e de 20 no turn/river
+const structure = createBettingStructure('fixed-limit', { smallBet: 10, bigBet: 20 });
+const minRaise = structure.getMinRaise(game);     // Total da aposta após o raise
+const maxBet = structure.getMaxBet(game, player); // Fichas que o jogador pode adicionar
+structure.validateAction(game, player, 'raise', amount);
+*/
+
+// Exporta tudo
+export default {
+    BETTING_LIMITS,
+    DEFAULT_MAX_RAISES,
+    NoLimitStructure,
+    PotLimitStructure,
+    FixedLimitStructure,
+    BETTING_STRUCTURES,
+    createBettingStructure
+};
\ No newline at end of file
@@ -6,9 +6,12 @@
 
 // ================ CLASSE JOGADOR INDIVIDUAL ================
 export class PokerPlayer {
-    constructor(userId, nickname, chips = 1500, position = 0, isBot = false) {
+    constructor(userId, nickname, chips = 1500, position = 0, isBot = false, random = Math.random) {
         if (!userId) throw new Error('ID do jogador é obrigatório');
         
+        // Gerador [0, 1) usado em avatar e personalidade (injetável no modo determinístico)
+        this.random = random;
+        
         // Identificação
         this.userId = userId;
         this.nickname = nickname || `Jogador_${userId.slice(-4)}`;
@@ -25,6 +28,7 @@ export class PokerPlayer {
         // Cartas
         this.cards = [];
         this.bestHand = null;            // Melhor mão avaliada
+        this.bestLowHand = null;         // Melhor low 8-or-better (Hi-Lo)
         this.handRank = 0;               // Rank da mão (1-10)
         
         // Status do jogo
@@ -37,6 +41,11 @@ export class PokerPlayer {
         this.sittingOut = false;         // Está ausente?
         this.isEliminated = false;       // Foi eliminado?
         
+        // Blinds perdidos enquanto ausente (cash game)
+        this.missedSmallBlind = false;   // Deve o small blind (pago morto ao voltar)
+        this.missedBigBlind = false;     // Deve o big blind (pago vivo ao voltar)
+        this.postingOption = null;       // Escolha ao voltar: 'post', 'wait-bb' ou 'post-dead'
+        
         // Posições especiais
         this.isDealer = false;
         this.isSmallBlind = false;
@@ -94,6 +103,7 @@ export class PokerPlayer {
     resetForNewHand() {
         this.cards = [];
         this.bestHand = null;
+        this.bestLowHand = null;
         this.handRank = 0;
         this.bet = 0;
         this.totalBetThisHand = 0;
@@ -107,7 +117,7 @@ export class PokerPlayer {
         this.isWinner = false;
         this.wonAmount = 0;
         this.potWon = 0;
-        this.isInHand = true;
+        this.isInHand = !this.sittingOut; // Ausente não recebe cartas
         
         // Se não tem fichas, está eliminado
         if (this.chips <= 0) {
@@ -119,13 +129,13 @@ export class PokerPlayer {
         return this;
     }
     
-    // Distribui cartas para o jogador
-    dealCards(cards) {
+    // Distribui cartas para o jogador (2 no Hold'em, 4 no Omaha)
+    dealCards(cards, expectedCount = 2) {
         if (!cards || !Array.isArray(cards)) {
             throw new Error('Cards deve ser um array');
         }
-        if (cards.length !== 2) {
-            throw new Error('Deve receber exatamente 2 cartas');
+        if (cards.length !== expectedCount) {
+            throw new Error(`Deve receber exatamente ${expectedCount} cartas`);
         }
         
         this.cards = cards;
@@ -135,6 +145,36 @@ export class PokerPlayer {
         return this;
     }
     
+    // Adiciona cartas de uma nova rua (Stud: abertas ou fechadas conforme card.faceUp)
+    addCards(cards) {
+        if (!cards || !Array.isArray(cards)) {
+            throw new Error('Cards deve ser um array');
+        }
+        
+        this.cards.push(...cards);
+        
+        console.log(`🃏 ${this.nickname} recebeu: ${cards.map(c => c.faceUp ? c.display : '🂠').join(' ')}`);
+        return this;
+    }
+    
+    // Descarta uma carta da mão (Pineapple) pelo id ('AH', '10S') e retorna o PokerCard removido
+    discardCard(cardId) {
+        const index = this.cards.findIndex(card => card.id === cardId);
+        if (index === -1) {
+            throw new Error(`Carta ${cardId} não está na mão de ${this.nickname}`);
+        }
+        
+        const [card] = this.cards.splice(index, 1);
+        
+        console.log(`🗑️ ${this.nickname} descartou uma carta`);
+        return card;
+    }
+    
+    // Cartas abertas (visíveis para a mesa)
+    getUpCards() {
+        return this.cards.filter(card => card.faceUp);
+    }
+    
     // ================ MÉTODOS DE AÇÃO ================
     
     // Executa uma ação do jogador
@@ -166,11 +206,12 @@ export class PokerPlayer {
                 break;
                 
             case 'bet':
-                chipsAdded = this.bet(amount, gameState.currentMaxBet);
+                // this.bet é a aposta da rodada (propriedade), então chama o método pelo protótipo
+                chipsAdded = PokerPlayer.prototype.bet.call(this, amount, gameState.currentMaxBet);
                 break;
                 
             case 'raise':
-                chipsAdded = this.raise(amount, gameState.currentMaxBet);
+                chipsAdded = this.raise(amount, gameState.currentMaxBet, gameState.minRaise);
                 break;
                 
             case 'allin':
@@ -246,12 +287,18 @@ export class PokerPlayer {
         return chipsAdded;
     }
     
-    // Ação: Raise
-    raise(amount, currentMaxBet) {
-        const minRaise = this.getMinRaise(currentMaxBet);
-        
-        if (amount < minRaise && this.chips >= minRaise) {
-            throw new Error(`Raise mínimo: ${minRaise} (atual: ${amount})`);
+    // Ação: Raise (minRaiseTotal: total mínimo da aposta informado pela mesa, ex. fixed-limit)
+    raise(amount, currentMaxBet, minRaiseTotal = null) {
+        if (minRaiseTotal !== null) {
+            if (this.bet + amount < minRaiseTotal && this.chips + this.bet >= minRaiseTotal) {
+                throw new Error(`Raise mínimo: ${minRaiseTotal} (atual: ${this.bet + amount})`);
+            }
+        } else {
+            const minRaise = this.getMinRaise(currentMaxBet);
+            
+            if (amount < minRaise && this.chips >= minRaise) {
+                throw new Error(`Raise mínimo: ${minRaise} (atual: ${amount})`);
+            }
         }
         
         const chipsAdded = this.addToBet(amount);
@@ -293,6 +340,32 @@ export class PokerPlayer {
         return actualAmount;
     }
     
+    // Paga ante (fichas mortas: vão para o pote sem contar como aposta da rodada)
+    postAnte(amount) {
+        const actualAmount = Math.min(amount, this.chips);
+        if (actualAmount <= 0) return 0;
+        
+        this.chips -= actualAmount;
+        this.totalBetThisHand += actualAmount;
+        
+        if (this.chips === 0) {
+            this.isAllIn = true;
+            console.log(`💎 ${this.nickname} está ALL-IN!`);
+        }
+        
+        return actualAmount;
+    }
+    
+    // Recebe de volta a aposta que ninguém pagou (no all-in, pode ser de uma rodada anterior)
+    returnUncalledBet(amount) {
+        this.chips += amount;
+        this.bet = Math.max(0, this.bet - amount);
+        this.totalBetThisHand -= amount;
+        
+        console.log(`↩️ ${this.nickname} recebeu de volta ${amount} não pagos`);
+        return amount;
+    }
+    
     // Retorna fichas ao jogador (caso de erro ou cancelamento)
     refundBet(amount) {
         const refundAmount = Math.min(amount, this.bet);
@@ -415,15 +488,15 @@ export class PokerPlayer {
     // Gera personalidade aleatória para bot
     generateBotPersonality() {
         const personalities = ['tight', 'loose', 'aggressive', 'passive', 'balanced'];
-        const randomPersonality = personalities[Math.floor(Math.random() * personalities.length)];
+        const randomPersonality = personalities[Math.floor(this.random() * personalities.length)];
         
         return {
             type: randomPersonality,
-            bluffFrequency: Math.random() * 0.3, // 0-30%
-            callFrequency: 0.5 + Math.random() * 0.3, // 50-80%
-            raiseFrequency: 0.1 + Math.random() * 0.2, // 10-30%
-            patience: Math.random() * 0.8 + 0.2, // 20-100%
-            riskTolerance: Math.random() // 0-100%
+            bluffFrequency: this.random() * 0.3, // 0-30%
+            callFrequency: 0.5 + this.random() * 0.3, // 50-80%
+            raiseFrequency: 0.1 + this.random() * 0.2, // 10-30%
+            patience: this.random() * 0.8 + 0.2, // 20-100%
+            riskTolerance: this.random() // 0-100%
         };
     }
     
@@ -433,7 +506,7 @@ export class PokerPlayer {
             '#FF6B6B', '#4ECDC4', '#FFD166', '#06D6A0', 
             '#118AB2', '#EF476F', '#7209B7', '#F3722C'
         ];
-        const color = colors[Math.floor(Math.random() * colors.length)];
+        const color = colors[Math.floor(this.random() * colors.length)];
         const initial = this.nickname.charAt(0).toUpperCase();
         
         return {
@@ -445,7 +518,7 @@ export class PokerPlayer {
     
     getRandomEmoji() {
         const emojis = ['😎', '🤠', '😏', '🧐', '😈', '🤖', '👑', '💎'];
-        return emojis[Math.floor(Math.random() * emojis.length)];
+        return emojis[Math.floor(this.random() * emojis.length)];
     }
     
     // ================ MÉTODOS DE SERIALIZAÇÃO ================
@@ -469,6 +542,7 @@ export class PokerPlayer {
             // Cartas
             cards: this.cards.map(card => card?.toJSON?.() || card),
             bestHand: this.bestHand,
+            bestLowHand: this.bestLowHand,
             handRank: this.handRank,
             
             // Status
@@ -480,6 +554,9 @@ export class PokerPlayer {
             hasActedThisRound: this.hasActedThisRound,
             sittingOut: this.sittingOut,
             isEliminated: this.isEliminated,
+            missedSmallBlind: this.missedSmallBlind,
+            missedBigBlind: this.missedBigBlind,
+            postingOption: this.postingOption,
             
             // Posições especiais
             isDealer: this.isDealer,
@@ -513,13 +590,14 @@ export class PokerPlayer {
     }
     
     // Restaura de JSON
-    static fromJSON(jsonData, CardClass) {
+    static fromJSON(jsonData, CardClass, random = Math.random) {
         const player = new PokerPlayer(
             jsonData.userId,
             jsonData.nickname,
             jsonData.chips,
             jsonData.position,
-            jsonData.isBot
+            jsonData.isBot,
+            random
         );
         
         // Restaura propriedades
@@ -555,14 +633,19 @@ export class PokerPlayer {
         return this.isActive && this.isInHand && !this.isFolded && !this.sittingOut;
     }
     
+    // Independe de isInHand: quem desistiu na mão anterior volta a receber cartas na próxima
     get canReceiveCards() {
-        return this.isActive && this.isInHand && this.chips > 0;
+        return this.isActive && !this.sittingOut && this.chips > 0;
     }
     
     get stackSize() {
         return this.chips;
     }
     
+    get hasMissedBlinds() {
+        return this.missedSmallBlind || this.missedBigBlind;
+    }
+    
     get isShortStack() {
         return this.chips < 20; // Menos de 20 big blinds
     }
@@ -579,7 +662,7 @@ export class PokerPlayer {
             bet: this.bet,
             position: this.position,
             status: this.getStatusText(),
-            cards: showCards ? this.cards.map(c => c.display) : ['?', '?'],
+            cards: showCards ? this.cards.map(c => c.display) : this.cards.map(c => c.faceUp ? c.display : '?'),
             isTurn: this.isCurrentTurn,
             isDealer: this.isDealer,
             isSmallBlind: this.isSmallBlind,
@@ -591,6 +674,7 @@ export class PokerPlayer {
     
     getStatusText() {
         if (this.isEliminated) return 'Eliminado';
+        if (this.sittingOut && this.postingOption === 'wait-bb') return 'Esperando o big blind';
         if (this.sittingOut) return 'Ausente';
         if (this.isFolded) return 'Desistiu';
         if (this.isAllIn) return 'All-in';
@@ -648,6 +732,31 @@ export class PokerPlayer {
         console.log(`🎮 ${this.nickname} retornou ao jogo`);
     }
     
+    // Registra blind que passou pelo jogador enquanto ausente ('small' ou 'big')
+    markMissedBlind(type) {
+        if (type === 'small') {
+            this.missedSmallBlind = true;
+        } else {
+            this.missedBigBlind = true;
+        }
+        console.log(`🪑 ${this.nickname} perdeu o ${type === 'small' ? 'small' : 'big'} blind`);
+    }
+    
+    // Blinds devidos ao voltar: big blind vivo (conta como aposta) e small blind morto (vai direto ao pote)
+    getOwedBlinds(smallBlind, bigBlind) {
+        return {
+            live: this.missedBigBlind ? bigBlind : 0,
+            dead: this.missedSmallBlind ? smallBlind : 0
+        };
+    }
+    
+    // Zera blinds devidos (pagos, ou jogador entrou no big blind)
+    clearMissedBlinds() {
+        this.missedSmallBlind = false;
+        this.missedBigBlind = false;
+        this.postingOption = null;
+    }
+    
     // Elimina jogador
     eliminate() {
         this.isEliminated = true;
@@ -674,8 +783,9 @@ export class PokerPlayer {
 
 // ================ CLASSE GERENCIADOR DE JOGADORES ================
 export class PlayerManager {
-    constructor(maxPlayers = 9) {
+    constructor(maxPlayers = 9, random = Math.random) {
         this.maxPlayers = maxPlayers;
+        this.random = random; // Repassado aos jogadores criados
         this.players = []; // Array de PokerPlayer
         this.seats = Array(maxPlayers).fill(null); // Estado das cadeiras
         this.playerMap = new Map(); // userId -> PokerPlayer
@@ -705,10 +815,11 @@ export class PlayerManager {
         }
         
         // Cria jogador
-        const player = new PokerPlayer(userId, nickname, chips, position, isBot);
+        const player = new PokerPlayer(userId, nickname, chips, position, isBot, this.random);
         
-        // Adiciona às estruturas
+        // Adiciona às estruturas (em ordem de cadeira)
         this.players.push(player);
+        this.sortPlayersBySeat();
         this.playerMap.set(userId, player);
         this.seats[position] = userId;
         this.activeCount++;
@@ -823,11 +934,33 @@ export class PlayerManager {
         // Ocupa nova posição
         player.position = newPosition;
         this.seats[newPosition] = userId;
+        this.sortPlayersBySeat();
         
         console.log(`🔄 ${player.nickname} mudou para posição ${newPosition}`);
         return true;
     }
     
+    // Mantém a lista de jogadores na ordem das cadeiras (sentido horário)
+    sortPlayersBySeat() {
+        this.players.sort((a, b) => a.position - b.position);
+    }
+    
+    // Jogador sentado depois de uma cadeira, no sentido horário (a própria cadeira fica por último)
+    getNextPlayerFromSeat(seat, players = this.getActivePlayers()) {
+        let nextPlayer = null;
+        let nextDistance = Infinity;
+        
+        players.forEach(player => {
+            const distance = (player.position - seat + this.maxPlayers - 1) % this.maxPlayers;
+            if (distance < nextDistance) {
+                nextDistance = distance;
+                nextPlayer = player;
+            }
+        });
+        
+        return nextPlayer;
+    }
+    
     // Reorganiza posições após eliminação
     compactSeats() {
         const activePlayers = this.getActivePlayers();
@@ -841,6 +974,7 @@ export class PlayerManager {
             player.position = index;
             this.seats[index] = player.userId;
         });
+        this.sortPlayersBySeat();
         
         console.log(`📦 Assentos compactados: ${activePlayers.length} jogadores ativos`);
     }
@@ -949,12 +1083,12 @@ export class PlayerManager {
         };
     }
     
-    static fromJSON(jsonData, CardClass) {
-        const manager = new PlayerManager(jsonData.maxPlayers);
+    static fromJSON(jsonData, CardClass, random = Math.random) {
+        const manager = new PlayerManager(jsonData.maxPlayers, random);
         
         // Restaura jogadores
         jsonData.players.forEach(playerData => {
-            const player = PokerPlayer.fromJSON(playerData, CardClass);
+            const player = PokerPlayer.fromJSON(playerData, CardClass, random);
             manager.players.push(player);
             manager.playerMap.set(player.userId, player);
         });
@@ -1034,11 +1168,11 @@ export class PlayerManager {
 // ================ FUNÇÕES DE UTILIDADE ================
 
 // Cria um jogador bot
-export function createBotPlayer(botName, difficulty = 'medium') {
-    const botId = `bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const chips = 1500 + Math.floor(Math.random() * 1000);
+export function createBotPlayer(botName, difficulty = 'medium', random = Math.random) {
+    const botId = `bot_${Date.now()}_${random().toString(36).substr(2, 9)}`;
+    const chips = 1500 + Math.floor(random() * 1000);
     
-    const bot = new PokerPlayer(botId, botName, chips, 0, true);
+    const bot = new PokerPlayer(botId, botName, chips, 0, true, random);
     bot.botDifficulty = difficulty;
     
     return bot;
@@ -0,0 +1,208 @@
+/**
+ * SISTEMA DE NOTAÇÃO DE CARTAS
+ * Arquivo: notacao-cartas.js
+ * Responsável por: Converter strings de notação padrão (AhKs, Td9d8c, [Ah Kd] [2c 3c 4c]) em PokerCard e formatar de volta
+ */
+
+import { PokerCard, SUITS } from './baralho-texas.js';
+
+// ================ CONSTANTES DE NOTAÇÃO ================
+
+// Valor na notação padrão -> rank do PokerCard (T = 10)
+export const NOTATION_RANKS = {
+    '2': '2', '3': '3', '4': '4', '5': '5', '6': '6', '7': '7', '8': '8', '9': '9',
+    'T': '10', 'J': 'J', 'Q': 'Q', 'K': 'K', 'A': 'A'
+};
+
+// Naipe na notação padrão (minúsculo) -> naipe do PokerCard
+export const NOTATION_SUITS = {
+    h: 'HEARTS',
+    d: 'DIAMONDS',
+    c: 'CLUBS',
+    s: 'SPADES'
+};
+
+// Símbolos aceitos no lugar da letra do naipe
+const SYMBOL_SUITS = { '♥': 'h', '♦': 'd', '♣': 'c', '♠': 's' };
+
+// Base das cartas de baralho Unicode (U+1F0A1 = Ás de espadas) e posição de cada valor no bloco
+const UNICODE_SUIT_BASE = { SPADES: 0x1F0A0, HEARTS: 0x1F0B0, DIAMONDS: 0x1F0C0, CLUBS: 0x1F0D0 };
+const UNICODE_RANK_OFFSET = {
+    'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10,
+    'J': 11, 'Q': 13, 'K': 14 // 12 é o Cavaleiro, ausente no poker
+};
+
+const HTML_SUIT_ENTITIES = { HEARTS: '&hearts;', DIAMONDS: '&diams;', CLUBS: '&clubs;', SPADES: '&spades;' };
+
+// Uma carta: valor (10 ou 2-9TJQKA) seguido do naipe (letra ou símbolo)
+const CARD_PATTERN = /(10|[2-9TJQKA])([HDCS♥♦♣♠])/giy;
+
+// ================ PARSER ================
+
+// Converte uma carta ('Ah', 'Td', '10d', 'AH', 'A♥') em PokerCard
+export function parseCard(cardString) {
+    const cards = parseCards(cardString);
+    if (cards.length !== 1) {
+        throw new Error(`Esperada exatamente 1 carta: ${cardString}`);
+    }
+    return cards[0];
+}
+
+// Converte uma sequência de cartas ('AhKs', 'Td9d8c', 'Ah Kd, 2c') em PokerCard[], validando duplicadas
+export function parseCards(notation, options = {}) {
+    if (typeof notation !== 'string') {
+        throw new Error(`Notação inválida: ${notation}`);
+    }
+    
+    const compact = notation.replace(/[\s,]+/g, '');
+    const cards = [];
+    
+    CARD_PATTERN.lastIndex = 0;
+    while (CARD_PATTERN.lastIndex < compact.length) {
+        const start = CARD_PATTERN.lastIndex;
+        const match = CARD_PATTERN.exec(compact);
+        
+        if (!match) {
+            throw new Error(`Notação de carta inválida em "${notation}" (posição ${start + 1}: "${compact.slice(start, start + 3)}")`);
+        }
+        cards.push(createCard(match[1], match[2]));
+    }
+    
+    if (!options.allowDuplicates) {
+        assertUniqueCards(cards);
+    }
+    
+    return cards;
+}
+
+// Converte grupos entre colchetes ('[Ah Kd] [2c 3c 4c]') em PokerCard[][]; sem colchetes retorna um único grupo
+export function parseCardGroups(notation, options = {}) {
+    if (typeof notation !== 'string') {
+        throw new Error(`Notação inválida: ${notation}`);
+    }
+    
+    const trimmed = notation.trim();
+    if (!trimmed.includes('[')) {
+        return trimmed.length > 0 ? [parseCards(trimmed, options)] : [];
+    }
+    
+    const outside = trimmed.replace(/\[[^\[\]]*\]/g, '').trim();
+    if (outside.length > 0) {
+        throw new Error(`Texto fora dos colchetes em "${notation}": ${outside}`);
+    }
+    
+    const groups = Array.from(trimmed.matchAll(/\[([^\[\]]*)\]/g))
+        .map(match => parseCards(match[1], { allowDuplicates: true }));
+    
+    if (!options.allowDuplicates) {
+        assertUniqueCards(groups.flat());
+    }
+    
+    return groups;
+}
+
+// Mão e board no formato de histórico: '[Ah Kd] [2c 3c 4c]' -> { hand, board }
+export function parseHandAndBoard(notation) {
+    const groups = parseCardGroups(notation);
+    if (groups.length === 0 || groups.length > 2) {
+        throw new Error(`Esperado "[mão] [board]": ${notation}`);
+    }
+    
+    return {
+        hand: groups[0],
+        board: groups[1] || []
+    };
+}
+
+// ================ FORMATADOR ================
+
+// Formata uma carta: 'standard' (Ah), 'display' (A♥), 'id' (AH), 'unicode' (🂱) ou 'html'
+export function formatCard(card, format = 'standard') {
+    switch (format) {
+        case 'standard':
+            return toNotationRank(card.rank) + card.suit.charAt(0).toLowerCase();
+        case 'display':
+            return card.display;
+        case 'id':
+            return card.id;
+        case 'unicode':
+            return String.fromCodePoint(UNICODE_SUIT_BASE[card.suit] + UNICODE_RANK_OFFSET[card.rank]);
+        case 'html':
+            return `<span class="card card-${SUITS[card.suit].color}" data-card="${formatCard(card)}">${card.rank}${HTML_SUIT_ENTITIES[card.suit]}</span>`;
+        default:
+            throw new Error(`Formato de carta inválido: ${format}`);
+    }
+}
+
+// Formata várias cartas (notação padrão junta sem separador: 'AhKs')
+export function formatCards(cards, format = 'standard', separator = null) {
+    const joiner = separator !== null ? separator : (format === 'standard' || format === 'id' ? '' : ' ');
+    return cards.map(card => formatCard(card, format)).join(joiner);
+}
+
+// Formata grupos no estilo de histórico: [[Ah, Kd], [2c, 3c, 4c]] -> '[Ah Kd] [2c 3c 4c]'
+export function formatCardGroups(groups, format = 'standard') {
+    return groups
+        .map(group => `[${formatCards(group, format, ' ')}]`)
+        .join(' ');
+}
+
+// Converte PokerCard.id ('10H', 'AS') para notação padrão ('Th', 'As')
+export function idToNotation(cardId) {
+    const match = String(cardId).toUpperCase().match(/^(10|[2-9JQKA])([HDCS])$/);
+    if (!match) {
+        throw new Error(`ID de carta inválido: ${cardId}`);
+    }
+    return toNotationRank(match[1]) + match[2].toLowerCase();
+}
+
+// ================ FUNÇÕES AUXILIARES ================
+
+// Cria PokerCard a partir de valor e naipe já separados
+function createCard(rankToken, suitToken) {
+    const rankKey = rankToken.toUpperCase();
+    const rank = rankKey === '10' ? '10' : NOTATION_RANKS[rankKey];
+    const suitLetter = SYMBOL_SUITS[suitToken] || suitToken.toLowerCase();
+    
+    return new PokerCard(NOTATION_SUITS[suitLetter], rank);
+}
+
+function toNotationRank(rank) {
+    return rank === '10' ? 'T' : rank;
+}
+
+// Garante que nenhuma carta aparece duas vezes
+function assertUniqueCards(cards) {
+    const seen = new Set();
+    cards.forEach(card => {
+        if (seen.has(card.id)) {
+            throw new Error(`Carta duplicada: ${formatCard(card)}`);
+        }
+        seen.add(card.id);
+    });
+}
+
+// Exemplo de uso rápido:
+/*
+import { parseHandAndBoard, formatCards, formatCardGroups } from './notacao-cartas.js';
+
+const { hand, board } = parseHandAndBoard('[Ah Kd] [2c 3c 4c]');
+console.log(formatCards(hand));                // AhKd
+console.log(formatCards(board, 'display'));    // 2♣ 3♣ 4♣
+console.log(formatCards(hand, 'unicode'));     // 🂱 🃎
+console.log(formatCardGroups([hand, board]));  // [Ah Kd] [2c 3c 4c]
+*/
+
+// Exporta tudo
+export default {
+    NOTATION_RANKS,
+    NOTATION_SUITS,
+    parseCard,
+    parseCards,
+    parseCardGroups,
+    parseHandAndBoard,
+    formatCard,
+    formatCards,
+    formatCardGroups,
+    idToNotation
+};
\ No newline at end of file
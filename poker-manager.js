@@ -15,6 +15,13 @@ export const GAME_STATES = {
     FLOP: 'flop',             // Rodada de flop
     TURN: 'turn',             // Rodada de turn
     RIVER: 'river',           // Rodada de river
+    THIRD_STREET: 'third_street',     // Stud: 2 fechadas + 1 aberta, bring-in
+    FOURTH_STREET: 'fourth_street',   // Stud: 1 aberta
+    FIFTH_STREET: 'fifth_street',     // Stud: 1 aberta (aposta grande)
+    SIXTH_STREET: 'sixth_street',     // Stud: 1 aberta
+    SEVENTH_STREET: 'seventh_street', // Stud: 1 fechada
+    DISCARD: 'discard',               // Pineapple: cada jogador descarta uma das três cartas
+    RUN_IT_TWICE: 'run_it_twice',     // Todos all-in: aguardando acordo para correr o board duas vezes
     SHOWDOWN: 'showdown',    // Mostrando cartas
     DISTRIBUTING: 'distributing', // Distribuindo pote
     BETWEEN_HANDS: 'between_hands', // Entre mãos
@@ -29,14 +36,238 @@ export const ACTION_TYPES = {
     BET: 'bet',
     RAISE: 'raise',
     ALL_IN: 'allin',
+    DISCARD: 'discard',
     TIMEOUT: 'timeout'
 };
 
+// Atalhos de aposta em fração do pote (após o call)
+export const BET_PRESETS = [
+    { label: '1/2', fraction: 1 / 2 },
+    { label: '2/3', fraction: 2 / 3 },
+    { label: 'pot', fraction: 1 }
+];
+
+// Como um jogador ausente volta ao cash game devendo blinds
+export const POSTING_OPTIONS = {
+    POST: 'post',               // Posta o big blind e entra na próxima mão
+    WAIT_FOR_BB: 'wait-bb',     // Espera o big blind chegar à sua cadeira
+    POST_DEAD: 'post-dead'      // Posta o big blind vivo e o small blind morto
+};
+
+// Estados em que os jogadores podem agir
+const BETTING_STATES = [
+    GAME_STATES.PREFLOP, GAME_STATES.FLOP, GAME_STATES.TURN, GAME_STATES.RIVER,
+    GAME_STATES.THIRD_STREET, GAME_STATES.FOURTH_STREET, GAME_STATES.FIFTH_STREET,
+    GAME_STATES.SIXTH_STREET, GAME_STATES.SEVENTH_STREET
+];
+
+// Estruturas de apostas obrigatórias
+export const FORCED_BET_STRUCTURES = {
+    BLINDS: 'blinds',               // Small blind e big blind
+    ANTE_ONLY: 'ante-only',         // Apenas antes, sem blinds
+    BUTTON_BLIND: 'button-blind',   // Antes de todos + blind do botão
+    BRING_IN: 'ante-bring-in'       // Antes de todos + bring-in da menor carta aberta (Stud)
+};
+
+// Stud: cartas recebidas em cada rua
+export const STUD_STREETS = [
+    { round: 'third_street', down: 2, up: 1 },
+    { round: 'fourth_street', down: 0, up: 1 },
+    { round: 'fifth_street', down: 0, up: 1 },
+    { round: 'sixth_street', down: 0, up: 1 },
+    { round: 'seventh_street', down: 1, up: 0 }
+];
+
+// Stud: ordem dos naipes do menor para o maior (desempate do bring-in)
+export const STUD_SUIT_ORDER = ['CLUBS', 'DIAMONDS', 'HEARTS', 'SPADES'];
+
+const STUD_HAND_SIZE = 7;
+
+// Board: cartas comunitárias abertas em cada rodada
+export const BOARD_STREETS = [
+    { round: 'preflop', cards: 0 },
+    { round: 'flop', cards: 3 },
+    { round: 'turn', cards: 1 },
+    { round: 'river', cards: 1 }
+];
+
+// Variantes de jogo (ids iguais ao gameType das mesas em mesas.html)
+export const GAME_VARIANTS = {
+    TEXAS_HOLDEM: {
+        id: 'texas-holdem',
+        name: 'Texas Hold\'em',
+        deck: 'standard',
+        holeCards: 2,
+        holeCardsUsed: null,        // Qualquer combinação de mão + board
+        bettingLimit: 'no-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BLINDS,
+        anteSmallBlinds: 0,
+        hiLo: false,
+        stud: false,
+        lowball: false,
+        discardRound: null
+    },
+    POT_LIMIT_OMAHA: {
+        id: 'omaha-4',
+        name: 'Pot-Limit Omaha',
+        deck: 'standard',
+        holeCards: 4,
+        holeCardsUsed: 2,           // Exatamente 2 da mão + 3 do board
+        bettingLimit: 'pot-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BLINDS,
+        anteSmallBlinds: 0,
+        hiLo: false,
+        stud: false,
+        lowball: false,
+        discardRound: null
+    },
+    OMAHA_HI_LO: {
+        id: 'omaha',
+        name: 'Omaha Hi-Lo 8 or Better',
+        deck: 'standard',
+        holeCards: 4,
+        holeCardsUsed: 2,
+        bettingLimit: 'pot-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BLINDS,
+        anteSmallBlinds: 0,
+        hiLo: true,                 // Pote dividido entre melhor high e melhor low 8-or-better
+        stud: false,
+        lowball: false,
+        discardRound: null
+    },
+    LIMIT_HOLDEM: {
+        id: 'limit-holdem',
+        name: 'Limit Hold\'em',
+        deck: 'standard',
+        holeCards: 2,
+        holeCardsUsed: null,
+        bettingLimit: 'fixed-limit',  // Aposta pequena no preflop/flop, grande no turn/river
+        forcedBets: FORCED_BET_STRUCTURES.BLINDS,
+        anteSmallBlinds: 0,
+        hiLo: false,
+        stud: false,
+        lowball: false,
+        discardRound: null
+    },
+    SHORT_DECK: {
+        id: 'short-deck',
+        name: 'Short Deck Hold\'em (6+)',
+        deck: 'short-deck',         // 36 cartas: flush > full house, A-6-7-8-9 é sequência
+        holeCards: 2,
+        holeCardsUsed: null,
+        bettingLimit: 'no-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BUTTON_BLIND,
+        anteSmallBlinds: 1,         // Ante sem valor na mesa: um small blind por jogador
+        hiLo: false,
+        stud: false,
+        lowball: false,
+        discardRound: null
+    },
+    SEVEN_CARD_STUD: {
+        id: '7-card-stud',
+        name: 'Seven Card Stud',
+        deck: 'standard',
+        holeCards: 3,               // Third street: 2 fechadas + 1 aberta (7 no total até a seventh street)
+        holeCardsUsed: null,
+        bettingLimit: 'fixed-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BRING_IN,
+        anteSmallBlinds: 0,
+        hiLo: false,
+        stud: true,                 // Sem board: cartas individuais por rua (STUD_STREETS)
+        lowball: false,
+        discardRound: null
+    },
+    SEVEN_CARD_STUD_HI_LO: {
+        id: '7-card-stud-hi-lo',
+        name: 'Seven Card Stud Hi-Lo 8 or Better',
+        deck: 'standard',
+        holeCards: 3,
+        holeCardsUsed: null,
+        bettingLimit: 'fixed-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BRING_IN,
+        anteSmallBlinds: 0,
+        hiLo: true,                 // Low com quaisquer 5 das 7 cartas
+        stud: true,
+        lowball: false,
+        discardRound: null
+    },
+    RAZZ: {
+        id: 'razz',
+        name: 'Razz',
+        deck: 'standard',
+        holeCards: 3,
+        holeCardsUsed: null,
+        bettingLimit: 'fixed-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BRING_IN,
+        anteSmallBlinds: 0,
+        hiLo: false,
+        stud: true,
+        lowball: true,              // A-5 lowball: vence a menor mão, bring-in da maior carta aberta
+        discardRound: null
+    },
+    PINEAPPLE: {
+        id: 'pineapple',
+        name: 'Pineapple',
+        deck: 'standard',
+        holeCards: 3,               // Recebe 3 e descarta 1 (joga com 2, como no Hold'em)
+        holeCardsUsed: null,
+        bettingLimit: 'no-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BLINDS,
+        anteSmallBlinds: 0,
+        hiLo: false,
+        stud: false,
+        lowball: false,
+        discardRound: 'preflop'     // Descarte depois das apostas do preflop, antes do flop
+    },
+    CRAZY_PINEAPPLE: {
+        id: 'crazy-pineapple',
+        name: 'Crazy Pineapple',
+        deck: 'standard',
+        holeCards: 3,
+        holeCardsUsed: null,
+        bettingLimit: 'no-limit',
+        forcedBets: FORCED_BET_STRUCTURES.BLINDS,
+        anteSmallBlinds: 0,
+        hiLo: false,
+        stud: false,
+        lowball: false,
+        discardRound: 'flop'        // Descarte depois das apostas do flop, antes do turn
+    }
+};
+
+// Jogo misto: quando trocar de variante
+export const MIXED_GAME_ROTATION = {
+    HANDS: 'hands',     // A cada handsPerGame mãos
+    ORBIT: 'orbit'      // A cada volta completa do botão
+};
+
+const DEFAULT_HANDS_PER_GAME = 8;
+
+// Jogos mistos prontos (cada jogo pode sobrescrever bettingLimit, forcedBets e valores de blinds/antes)
+export const MIXED_GAMES = {
+    HORSE: {
+        id: 'horse',
+        name: 'H.O.R.S.E.',
+        rotateBy: MIXED_GAME_ROTATION.ORBIT,
+        games: [
+            { gameVariant: 'limit-holdem' },
+            { gameVariant: 'omaha', bettingLimit: 'fixed-limit' },
+            { gameVariant: 'razz' },
+            { gameVariant: '7-card-stud' },
+            { gameVariant: '7-card-stud-hi-lo' }
+        ]
+    }
+};
+
 // ================ CLASSE GERENCIADORA PRINCIPAL ================
 export class PokerGameManager {
     constructor(config = {}) {
+        // Aleatoriedade (com seed, o jogo inteiro se repete de forma idêntica)
+        this.seed = config.seed ?? null;
+        this.random = config.random || (this.seed !== null ? createSeededRandom(this.seed) : Math.random);
+        
         // Configuração
-        this.gameId = config.gameId || `game_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.gameId = config.gameId || this.generateGameId();
         this.name = config.name || 'Mesa de Poker';
         this.gameType = config.gameType || 'tournament'; // 'tournament' ou 'cash'
         this.maxPlayers = config.maxPlayers || 9;
@@ -45,6 +276,26 @@ export class PokerGameManager {
         this.smallBlind = config.smallBlind || 10;
         this.bigBlind = config.bigBlind || 20;
         this.ante = config.ante || 0;
+        this.anteType = config.anteType || ANTE_TYPES.CLASSIC; // Com blinds: cada jogador, o BB ou o botão paga o ante
+        this.bringIn = config.bringIn || this.smallBlind; // Stud: aposta obrigatória da menor carta aberta
+        
+        // Jogo misto (HORSE etc.): cada jogo da rotação guarda sua variante e valores de blinds/antes
+        this.mixedGame = config.mixedGame ? createMixedGameRotation(config.mixedGame, {
+            smallBlind: this.smallBlind,
+            bigBlind: this.bigBlind,
+            ante: this.ante,
+            bringIn: this.bringIn,
+            smallBet: config.smallBet,
+            bigBet: config.bigBet,
+            maxRaises: config.maxRaises
+        }) : null;
+        
+        if (this.mixedGame) {
+            this.applyMixedGame();
+        } else {
+            this.applyGameConfig(config);
+        }
+        
         this.actionTime = config.actionTime || 30; // segundos
         this.isPrivate = config.isPrivate || false;
         this.password = config.password || null;
@@ -56,10 +307,21 @@ export class PokerGameManager {
         this.dealerPosition = 0;
         this.smallBlindPosition = 0;
         this.bigBlindPosition = 0;
+        this.lastBigBlindPlayer = null; // Quem pagou o big blind na última mão (define o botão no heads-up)
+        this.headsUpHand = false;       // Mão atual começou heads-up (decidido uma vez, no início da mão)
+        this.buttonSeat = null;         // Cadeiras do botão e dos blinds (botão e small blind podem estar mortos)
+        this.smallBlindSeat = null;
+        this.bigBlindSeat = null;
         this.currentPlayerTurn = null;
         this.currentMaxBet = 0;
         this.lastRaiseAmount = 0;
         this.lastAction = null;
+        this.bringInPlayer = null;  // Stud: jogador que pagou o bring-in
+        this.studBoardCards = [];   // Stud: carta comunitária da seventh street quando o baralho acaba
+        this.runItTwice = null;     // Acordo e boards do run it twice na mão atual
+        this.rabbitHunt = null;     // Mão encerrada antes do river: cartas que viriam ainda estão no baralho
+        this.discardPhase = null;   // Pineapple: ordem e progresso do descarte na mão atual
+        this.bombPot = null;        // Bomb pot da mão atual (valor, origem e boards do double board)
         
         // Módulos
         this.deck = null;           // Instância de PokerDeck
@@ -67,14 +329,17 @@ export class PokerGameManager {
         this.potManager = null;     // Instância de PotManager
         this.tournament = null;     // Instância de PokerTournament (se for torneio)
         this.handEvaluator = null;  // Instância de HandEvaluator
+        this.fairShuffle = null;    // Instância de FairShuffle (embaralhamento comprovadamente justo)
         
         // Controle
         this.actionTimer = null;
+        this.runItTwiceTimer = null;
         this.actionTimeRemaining = this.actionTime;
         this.handStartTime = null;
         this.roundStartTime = null;
         this.isPaused = false;
         this.pauseStartTime = null;
+        this.stateBeforePause = null; // Estado interrompido pela pausa (descarte, run it twice, rodada...)
         this.totalPauseTime = 0;
         
         // Comunicação
@@ -110,11 +375,26 @@ export class PokerGameManager {
             timeBankSeconds: 30,
             maxTimeBanks: 3,
             minRaise: 'pot', // 'pot' ou 'fixed'
-            allowStraddle: false,
+            allowStraddle: false,       // Straddle do UTG (apenas cash game)
+            mississippiStraddle: false, // Com allowStraddle, também do botão
             allowRunningItTwice: false,
-            rabbitHunt: false
+            rabbitHunt: false,
+            bombPotEvery: 0,            // Bomb pot a cada N mãos (0 = desligado)
+            bombPotVoting: false,       // Mesa pode votar um bomb pot para a próxima mão
+            bombPotAmount: 0,           // Valor que cada jogador posta (0 = 2 big blinds)
+            bombPotDoubleBoard: false,  // Bomb pot com dois boards (metade de cada pote por board)
+            ...config.settings
         };
         
+        // Straddle pedido para a próxima mão (validado ao postar os blinds)
+        this.straddleRequests = new Set();
+        this.straddlePlayer = null;
+        this.straddleAmount = 0;
+        
+        // Bomb pot votado pela mesa (vale na próxima mão)
+        this.bombPotVotes = new Set();
+        this.bombPotScheduled = false;
+        
         // Inicialização diferida
         this.initialized = false;
         
@@ -159,18 +439,21 @@ export class PokerGameManager {
     // Inicializa todos os módulos necessários
     initializeModules() {
         // Deck
-        this.deck = new PokerDeck();
+        this.deck = new PokerDeck(this.random, this.variant.deck);
         this.deck.reset();
         this.deck.shuffle();
         
         // Gerenciador de jogadores
-        this.playerManager = new PlayerManager(this.maxPlayers);
+        this.playerManager = new PlayerManager(this.maxPlayers, this.random);
         
         // Gerenciador de pote
         this.potManager = new PotManager();
         
         // Avaliador de mãos
-        this.handEvaluator = new HandEvaluator();
+        this.handEvaluator = new HandEvaluator({ shortDeck: this.variant.deck === 'short-deck' });
+        
+        // Embaralhamento justo (compromisso antes da mão, revelação depois)
+        this.fairShuffle = this.createFairShuffle();
         
         // Torneio (se aplicável)
         if (this.gameType === 'tournament') {
@@ -178,13 +461,126 @@ export class PokerGameManager {
                 id: this.gameId,
                 name: this.name,
                 maxPlayers: this.maxPlayers,
-                startingStack: this.startingStack
+                startingStack: this.startingStack,
+                random: this.random
             });
         }
         
         console.log('📦 Módulos inicializados');
     }
     
+    // Cria embaralhador justo (com seed, as seeds do servidor também são derivadas dela);
+    // savedState (de FairShuffle.getState) retoma compromisso, histórico e sequência de seeds
+    createFairShuffle(savedState = null) {
+        const options = savedState ? { state: savedState } : {};
+        if (this.seed !== null) {
+            options.generateSeed = createSeedSequence(this.seed, savedState?.generatorState || {});
+        }
+        return new FairShuffle(options);
+    }
+    
+    // Define variante e estrutura de apostas (no jogo misto, chamado a cada troca de jogo)
+    applyGameConfig(gameConfig) {
+        this.gameVariant = gameConfig.gameVariant || GAME_VARIANTS.TEXAS_HOLDEM.id;
+        this.variant = getGameVariant(this.gameVariant);
+        this.forcedBets = gameConfig.forcedBets || this.variant.forcedBets; // Blinds, só antes ou blind do botão
+        this.bettingLimit = gameConfig.bettingLimit || this.variant.bettingLimit;
+        this.bettingStructure = createBettingStructure(this.bettingLimit, {
+            smallBet: gameConfig.smallBet,  // Fixed-limit (padrão: big blind)
+            bigBet: gameConfig.bigBet,      // Fixed-limit (padrão: 2x small bet)
+            maxRaises: gameConfig.maxRaises
+        });
+        
+        // Módulos já criados acompanham a variante (baralho e ranking de mãos)
+        if (this.deck) {
+            this.deck.reset(this.variant.deck);
+        }
+        if (this.handEvaluator) {
+            this.handEvaluator = new HandEvaluator({ shortDeck: this.variant.deck === 'short-deck' });
+        }
+    }
+    
+    // Aplica o jogo atual da rotação com seus blinds, ante e bring-in
+    applyMixedGame() {
+        const game = this.mixedGame.games[this.mixedGame.currentIndex];
+        
+        this.smallBlind = game.smallBlind;
+        this.bigBlind = game.bigBlind;
+        this.ante = game.ante;
+        this.bringIn = game.bringIn;
+        this.applyGameConfig(game);
+    }
+    
+    // Blinds, ante e tipo de ante do nível atual do torneio
+    applyTournamentLevel() {
+        this.smallBlind = this.tournament.currentSmallBlind;
+        this.bigBlind = this.tournament.currentBigBlind;
+        this.ante = this.tournament.currentAnte;
+        this.anteType = this.tournament.currentAnteType;
+    }
+    
+    // Troca de jogo no misto quando a rodada de mãos (ou a órbita) do jogo atual termina
+    rotateMixedGame() {
+        const rotation = this.mixedGame;
+        const activePlayers = this.playerManager.getActivePlayers().length;
+        
+        if (rotation.orbitSize === null) {
+            rotation.orbitSize = activePlayers;
+        }
+        
+        const handsLimit = rotation.rotateBy === MIXED_GAME_ROTATION.ORBIT
+            ? rotation.orbitSize
+            : rotation.handsPerGame;
+        
+        if (rotation.handsInCurrentGame >= handsLimit) {
+            const previousGame = this.variant.name;
+            
+            rotation.currentIndex = (rotation.currentIndex + 1) % rotation.games.length;
+            rotation.handsInCurrentGame = 0;
+            rotation.orbitSize = activePlayers;
+            this.applyMixedGame();
+            
+            console.log(`🔀 Jogo misto: ${previousGame} → ${this.variant.name}`);
+            this.emit('game_rotated', {
+                mixedGame: rotation.name,
+                previousGame: previousGame,
+                ...this.getMixedGameState()
+            });
+        }
+        
+        rotation.handsInCurrentGame++;
+    }
+    
+    // Estado público da rotação (null fora do jogo misto)
+    getMixedGameState() {
+        if (!this.mixedGame) return null;
+        
+        const rotation = this.mixedGame;
+        const nextGame = rotation.games[(rotation.currentIndex + 1) % rotation.games.length];
+        const handsLimit = rotation.rotateBy === MIXED_GAME_ROTATION.ORBIT
+            ? (rotation.orbitSize ?? this.playerManager?.getActivePlayers().length ?? 0)
+            : rotation.handsPerGame;
+        
+        return {
+            id: rotation.id,
+            name: rotation.name,
+            rotateBy: rotation.rotateBy,
+            currentGame: this.variant.name,
+            currentGameVariant: this.gameVariant,
+            currentIndex: rotation.currentIndex,
+            nextGame: getGameVariant(nextGame.gameVariant).name,
+            handsInCurrentGame: rotation.handsInCurrentGame,
+            handsUntilRotation: Math.max(0, handsLimit - rotation.handsInCurrentGame),
+            games: rotation.games.map(game => getGameVariant(game.gameVariant).name)
+        };
+    }
+    
+    // Gera ID do jogo (só do gerador do jogo: com seed ou gerador injetado, o ID também é reproduzível)
+    generateGameId() {
+        const prefix = this.seed !== null ? `seed-${this.seed}_` : '';
+        return `game_${prefix}${this.random().toString(36).substr(2, 9)}${this.random().toString(36).substr(2, 9)}`;
+    }
+    
     // Configura listeners internos
     setupEventListeners() {
         // Timer de ação
@@ -320,6 +716,15 @@ export class PokerGameManager {
         return true;
     }
     
+    // Jogador contribui com entropia para o embaralhamento da próxima mão
+    addPlayerEntropy(playerId, entropy) {
+        if (!this.playerManager.getPlayerById(playerId)) {
+            throw new Error('Jogador não encontrado');
+        }
+        
+        return this.fairShuffle.addPlayerEntropy(playerId, entropy);
+    }
+    
     // ================ INÍCIO DO JOGO ================
     
     // Verifica se pode iniciar o jogo
@@ -345,11 +750,21 @@ export class PokerGameManager {
         
         console.log(`🃏 Iniciando nova mão #${this.handNumber + 1}`);
         
+        // Jogo misto: troca de variante antes de qualquer carta ou blind
+        if (this.mixedGame) {
+            this.rotateMixedGame();
+        }
+        
+        // Torneio em andamento: blinds e ante do nível atual
+        if (this.tournament && this.tournament.status === TOURNAMENT_STATUS.ACTIVE) {
+            this.applyTournamentLevel();
+        }
+        
         // Atualiza estado
         this.state = GAME_STATES.STARTING;
         this.handNumber++;
         this.handStartTime = new Date();
-        this.currentRound = 'preflop';
+        this.currentRound = this.variant.stud ? STUD_STREETS[0].round : 'preflop';
         this.currentMaxBet = 0;
         this.lastRaiseAmount = 0;
         this.lastAction = null;
@@ -361,23 +776,39 @@ export class PokerGameManager {
             playersInHand: this.playerManager.getPlayersInHand().length
         });
         
+        // Combina a entropia dos jogadores com a seed comprometida antes da mão (publicada antes de qualquer carta)
+        const shuffleCommitment = this.fairShuffle.prepareHand(this.handNumber);
+        this.emit('shuffle_commitment', {
+            handNumber: this.handNumber,
+            ...shuffleCommitment
+        });
+        
         // Reset módulos para nova mão
         this.resetForNewHand();
         
+        // Bomb pot: a cada N mãos ou votado pela mesa
+        this.bombPot = this.createBombPot();
+        
         // Distribui posições
         this.assignPositions();
         
         // Embaralha e distribui cartas
         this.dealCards();
         
-        // Aplica blinds
-        this.postBlinds();
+        // Aplica blinds (no bomb pot, todos postam o valor combinado e a mão começa no flop)
+        if (this.bombPot) {
+            this.postBombPot();
+            this.dealNextStreet();
+            this.resetForNewRound();
+        } else {
+            this.postBlinds();
+        }
         
         // Determina primeiro jogador a agir
         this.determineFirstToAct();
         
         // Inicia o jogo
-        this.state = GAME_STATES.PREFLOP;
+        this.state = GAME_STATES[this.currentRound.toUpperCase()];
         this.roundStartTime = new Date();
         
         console.log(`🚀 Mão #${this.handNumber} iniciada`);
@@ -388,6 +819,14 @@ export class PokerGameManager {
         // Emite evento de mão iniciada
         this.emit('hand_started', this.getGameState());
         
+        // Bomb pot em que ninguém mais pode apostar depois de postar: corre o board direto
+        if (this.bombPot && this.isAllInRunout()) {
+            this.startAllInRunout();
+        } else if (!this.currentPlayerTurn) {
+            // Antes e blinds deixaram todos all-in: ninguém age e a rodada fecha
+            this.checkRoundCompletion();
+        }
+        
         return this.getGameState();
     }
     
@@ -399,14 +838,13 @@ export class PokerGameManager {
         }
         
         const eligiblePlayers = this.playerManager.getPlayersEligibleForCards();
-        return eligiblePlayers.length >= this.minPlayers;
+        return eligiblePlayers.length + this.getReturningPlayers().length >= this.minPlayers;
     }
     
     // Reseta estado para nova mão
     resetForNewHand() {
-        // Reset deck
-        this.deck.restoreUsedCards();
-        this.deck.shuffle();
+        // Reset deck (ordem padrão + embaralhamento com a seed comprometida)
+        this.fairShuffle.shuffleDeck(this.deck);
         
         // Reset jogadores
         this.playerManager.resetAllForNewHand();
@@ -418,40 +856,290 @@ export class PokerGameManager {
         this.currentMaxBet = 0;
         this.lastRaiseAmount = 0;
         this.lastAction = null;
+        this.bringInPlayer = null;
+        this.studBoardCards = [];
+        this.runItTwice = null;
+        this.rabbitHunt = null;
+        this.straddlePlayer = null;
+        this.straddleAmount = 0;
+        this.bombPot = null;
+        this.discardPhase = null;
+        this.bettingStructure.resetForNewRound();
         
         console.log('🔄 Estado resetado para nova mão');
     }
     
-    // Distribui posições (dealer, blinds)
+    // Distribui posições pelas cadeiras (botão, blinds); com blinds, segue a regra do botão morto
     assignPositions() {
-        const activePlayers = this.playerManager.getActivePlayers();
+        // Quem volta postando entra nesta mão (quem espera o big blind entra quando ele chegar)
+        this.seatReturningPlayers();
+        
+        let activePlayers = this.playerManager.getActivePlayers();
         if (activePlayers.length === 0) return;
         
-        // Avança dealer
-        this.dealerPosition = (this.dealerPosition + 1) % activePlayers.length;
+        // Decidido uma vez, antes de antes e blinds (um stack zerado no meio da postagem não muda a mão)
+        this.headsUpHand = this.isHeadsUp();
+        
+        if (this.headsUpHand) {
+            // Heads-up: o botão posta o small blind; quem foi big blind na mão anterior fica com o botão
+            // (vale também na passagem de três para dois jogadores, para ninguém pagar o big blind duas vezes seguidas)
+            const button = activePlayers.find(p => p.userId === this.lastBigBlindPlayer) || this.getNextButtonPlayer(activePlayers);
+            this.buttonSeat = button.position;
+            this.smallBlindSeat = button.position;
+            this.bigBlindSeat = this.playerManager.getNextPlayerFromSeat(button.position, activePlayers).position;
+        } else if (this.forcedBets !== FORCED_BET_STRUCTURES.BLINDS || this.bigBlindSeat === null) {
+            // Primeira mão (ou mesa sem blinds): o botão avança para o próximo jogador
+            const button = this.getNextButtonPlayer(activePlayers);
+            const smallBlind = this.playerManager.getNextPlayerFromSeat(button.position, activePlayers);
+            this.buttonSeat = button.position;
+            this.smallBlindSeat = smallBlind.position;
+            this.bigBlindSeat = this.playerManager.getNextPlayerFromSeat(smallBlind.position, activePlayers).position;
+        } else {
+            // Botão morto: o big blind sempre avança para o próximo jogador; small blind e botão ficam nas
+            // cadeiras do big blind e do small blind anteriores, mesmo que vazias ou com jogador ausente
+            const previousSmallBlindSeat = this.smallBlindSeat;
+            const previousBigBlindSeat = this.bigBlindSeat;
+            
+            this.buttonSeat = previousSmallBlindSeat;
+            this.smallBlindSeat = previousBigBlindSeat;
+            this.bigBlindSeat = this.findNextBigBlind(previousBigBlindSeat).position;
+            
+            this.recordMissedBlinds(previousSmallBlindSeat, previousBigBlindSeat);
+            activePlayers = this.playerManager.getActivePlayers();
+        }
         
-        // Calcula posições dos blinds
-        this.smallBlindPosition = (this.dealerPosition + 1) % activePlayers.length;
-        this.bigBlindPosition = (this.dealerPosition + 2) % activePlayers.length;
+        this.updatePositionIndexes(activePlayers);
+        this.lastBigBlindPlayer = activePlayers[this.bigBlindPosition].userId;
         
-        // Atribui posições aos jogadores
+        // Atribui posições aos jogadores (pela cadeira)
         this.playerManager.assignSpecialPositions(
-            this.dealerPosition,
-            this.smallBlindPosition,
-            this.bigBlindPosition
+            this.buttonSeat,
+            this.smallBlindSeat,
+            this.bigBlindSeat
         );
         
-        console.log(`👑 Dealer: pos ${this.dealerPosition}, SB: ${this.smallBlindPosition}, BB: ${this.bigBlindPosition}`);
+        const deadPositions = [
+            !this.getButtonPlayer() && 'botão morto',
+            this.smallBlindPosition === -1 && 'small blind morto'
+        ].filter(Boolean);
+        console.log(`👑 Botão: cadeira ${this.buttonSeat}, SB: cadeira ${this.smallBlindSeat}, BB: cadeira ${this.bigBlindSeat}${deadPositions.length > 0 ? ` (${deadPositions.join(', ')})` : ''}`);
+    }
+    
+    // Botão sem regra de botão morto: próximo jogador depois do botão anterior (na primeira mão, pela ordem da mesa)
+    getNextButtonPlayer(activePlayers) {
+        if (this.buttonSeat === null) {
+            return activePlayers[(this.dealerPosition + 1) % activePlayers.length];
+        }
+        return this.playerManager.getNextPlayerFromSeat(this.buttonSeat, activePlayers);
+    }
+    
+    // Próximo big blind: primeiro jogador depois do big blind anterior (quem espera o big blind entra aqui)
+    findNextBigBlind(previousBigBlindSeat) {
+        const candidates = this.playerManager.players.filter(p => p.isActive && p.chips > 0 &&
+            (!p.sittingOut || p.postingOption === POSTING_OPTIONS.WAIT_FOR_BB));
+        const player = this.playerManager.getNextPlayerFromSeat(previousBigBlindSeat, candidates);
+        
+        if (player.sittingOut) {
+            player.clearMissedBlinds();
+            player.sitIn();
+            console.log(`🪑 ${player.nickname} voltou no big blind`);
+        }
+        
+        return player;
+    }
+    
+    // Cash game: ausente por quem o big blind passou perde o big blind; quem o small blind pulou (ou está na cadeira dele) perde o small blind
+    recordMissedBlinds(previousSmallBlindSeat, previousBigBlindSeat) {
+        if (this.gameType !== 'cash') return;
+        
+        const seats = this.playerManager.maxPlayers;
+        const distance = (fromSeat, toSeat) => (toSeat - fromSeat + seats) % seats;
+        
+        this.playerManager.players
+            .filter(p => p.sittingOut && p.isActive && p.chips > 0)
+            .forEach(player => {
+                const fromBigBlind = distance(previousBigBlindSeat, player.position);
+                if (!player.missedBigBlind && fromBigBlind > 0 && fromBigBlind < distance(previousBigBlindSeat, this.bigBlindSeat)) {
+                    player.markMissedBlind('big');
+                }
+                
+                const fromSmallBlind = distance(previousSmallBlindSeat, player.position);
+                if (!player.missedSmallBlind && fromSmallBlind > 0 && fromSmallBlind <= distance(previousSmallBlindSeat, this.smallBlindSeat)) {
+                    player.markMissedBlind('small');
+                }
+            });
+    }
+    
+    // Índices em getActivePlayers() usados no resto da mão (-1 no small blind morto);
+    // com botão morto, o dealer é o último jogador antes da cadeira do botão, que fala por último depois do flop
+    updatePositionIndexes(activePlayers) {
+        const firstAfterButton = this.playerManager.getNextPlayerFromSeat(this.buttonSeat, activePlayers);
+        const buttonPlayer = activePlayers.find(p => p.position === this.buttonSeat);
+        
+        this.dealerPosition = buttonPlayer
+            ? activePlayers.indexOf(buttonPlayer)
+            : (activePlayers.indexOf(firstAfterButton) - 1 + activePlayers.length) % activePlayers.length;
+        this.smallBlindPosition = activePlayers.findIndex(p => p.position === this.smallBlindSeat);
+        this.bigBlindPosition = activePlayers.findIndex(p => p.position === this.bigBlindSeat);
+    }
+    
+    // Jogador no botão (null com botão morto)
+    getButtonPlayer() {
+        return this.playerManager.getActivePlayers().find(p => p.position === this.buttonSeat) || null;
+    }
+    
+    // Jogadores da mesa em ordem de cadeira, a partir da esquerda do botão
+    getPlayersFromButton() {
+        const players = this.playerManager.players;
+        const startIndex = this.getIndexAfterSeat(players, this.buttonSeat);
+        return [...players.slice(startIndex), ...players.slice(0, startIndex)];
+    }
+    
+    // Índice (em players) do primeiro jogador depois de uma cadeira, no sentido horário
+    getIndexAfterSeat(players, seat) {
+        const player = this.playerManager.getNextPlayerFromSeat(seat, players);
+        return Math.max(0, players.indexOf(player));
+    }
+    
+    // Mesa com apenas dois jogadores recebendo cartas
+    isHeadsUp() {
+        return this.playerManager.getActivePlayers().length === 2;
+    }
+    
+    // ================ JOGADORES AUSENTES ================
+    
+    // Jogador fica ausente; no cash game, acumula os blinds que passarem por ele
+    sitOutPlayer(playerId) {
+        const player = this.playerManager.getPlayerById(playerId);
+        if (!player) {
+            throw new Error('Jogador não encontrado');
+        }
+        
+        // Se estiver em uma mão ativa, desiste antes de sair
+        if (this.state !== GAME_STATES.LOBBY &&
+            this.state !== GAME_STATES.BETWEEN_HANDS &&
+            this.state !== GAME_STATES.FINISHED) {
+            this.forcePlayerFold(playerId);
+        }
+        
+        player.postingOption = null;
+        player.sitOut();
+        
+        this.emit('player_sat_out', { playerId: playerId, nickname: player.nickname });
+        return true;
+    }
+    
+    // Opções de quem volta devendo blinds no cash game: esperar o big blind, postar o big blind ou postar com o small blind morto
+    getPostingOptions(playerId) {
+        const player = this.playerManager.getPlayerById(playerId);
+        if (!player || !player.sittingOut || this.gameType !== 'cash' || !player.hasMissedBlinds) {
+            return [];
+        }
+        
+        const owed = player.getOwedBlinds(this.smallBlind, this.bigBlind);
+        const postOption = player.missedSmallBlind
+            ? { option: POSTING_OPTIONS.POST_DEAD, live: owed.live, dead: owed.dead }
+            : { option: POSTING_OPTIONS.POST, live: owed.live, dead: 0 };
+        
+        return [
+            postOption,
+            { option: POSTING_OPTIONS.WAIT_FOR_BB, live: 0, dead: 0 }
+        ];
+    }
+    
+    // Jogador volta ao jogo na próxima mão (devendo blinds, escolhe uma das opções de getPostingOptions)
+    sitInPlayer(playerId, option = null) {
+        const player = this.playerManager.getPlayerById(playerId);
+        if (!player) {
+            throw new Error('Jogador não encontrado');
+        }
+        
+        if (!player.sittingOut) {
+            throw new Error('Jogador não está ausente');
+        }
+        
+        const options = this.getPostingOptions(playerId);
+        if (options.length > 0 && !options.some(o => o.option === option)) {
+            throw new Error(`Escolha como voltar: ${options.map(o => o.option).join(', ')}`);
+        }
+        
+        player.postingOption = options.length > 0 ? option : POSTING_OPTIONS.POST;
+        
+        this.emit('player_returning', {
+            playerId: playerId,
+            option: player.postingOption,
+            owed: player.getOwedBlinds(this.smallBlind, this.bigBlind)
+        });
+        
+        console.log(`🪑 ${player.nickname} volta na próxima mão (${player.postingOption})`);
+        
+        this.checkIfCanStart();
+        return player.postingOption;
+    }
+    
+    // Ausentes que já escolheram voltar
+    getReturningPlayers() {
+        return this.playerManager.players.filter(p => p.sittingOut && p.postingOption && p.isActive && p.chips > 0);
+    }
+    
+    // Quem volta postando entra agora; com menos de três jogadores não há big blind a esperar
+    seatReturningPlayers() {
+        const returningPlayers = this.getReturningPlayers();
+        
+        returningPlayers
+            .filter(p => p.postingOption !== POSTING_OPTIONS.WAIT_FOR_BB)
+            .forEach(player => player.sitIn());
+        
+        if (this.playerManager.getActivePlayers().length < 3) {
+            returningPlayers
+                .filter(p => p.postingOption === POSTING_OPTIONS.WAIT_FOR_BB)
+                .forEach(player => {
+                    player.clearMissedBlinds();
+                    player.sitIn();
+                });
+        }
+    }
+    
+    // Quem voltou postando paga os blinds devidos: big blind vivo e small blind morto (quem caiu nos blinds já está em dia)
+    postMissedBlinds(activePlayers) {
+        activePlayers.filter(p => p.postingOption).forEach(player => {
+            const inBlinds = player.position === this.smallBlindSeat || player.position === this.bigBlindSeat;
+            const owed = player.getOwedBlinds(this.smallBlind, this.bigBlind);
+            
+            if (!inBlinds && owed.live > 0) {
+                const liveAmount = player.addToBet(owed.live);
+                this.potManager.addBet(player.userId, liveAmount);
+                this.currentMaxBet = Math.max(this.currentMaxBet, player.bet);
+                
+                player.lastAction = 'post';
+                player.hasActedThisRound = false; // Blind vivo: mantém a opção de aumentar
+                console.log(`💰 Post: ${player.nickname} apostou ${liveAmount}`);
+            }
+            
+            if (!inBlinds && owed.dead > 0) {
+                const deadAmount = player.postAnte(owed.dead);
+                this.potManager.addDeadMoney(player.userId, deadAmount);
+                console.log(`💰 Post morto: ${player.nickname} pagou ${deadAmount}`);
+            }
+            
+            player.clearMissedBlinds();
+        });
     }
     
     // Distribui cartas
     dealCards() {
+        // Stud: third street com cartas abertas e fechadas
+        if (this.variant.stud) {
+            this.dealStudStreet(STUD_STREETS[0]);
+            return;
+        }
+        
         const players = this.playerManager.getPlayersEligibleForCards();
         
-        // Distribui 2 cartas para cada jogador
+        // Distribui as cartas da variante para cada jogador (2 no Hold'em, 4 no Omaha)
         players.forEach(player => {
-            const cards = this.deck.deal(2, false); // Cartas viradas para baixo
-            player.dealCards(cards);
+            const cards = this.deck.deal(this.variant.holeCards, false); // Cartas viradas para baixo
+            player.dealCards(cards, this.variant.holeCards);
             
             // Emite evento para o jogador específico
             this.emitToPlayer(player.userId, 'cards_dealt', {
@@ -463,57 +1151,428 @@ export class PokerGameManager {
         console.log(`🃏 Cartas distribuídas para ${players.length} jogadores`);
     }
     
+    // Distribui uma rua do Stud (fechadas primeiro, depois abertas)
+    dealStudStreet(street) {
+        const isFirstStreet = street.round === STUD_STREETS[0].round;
+        const players = isFirstStreet
+            ? this.playerManager.getPlayersEligibleForCards()
+            : this.playerManager.getPlayersInHand().filter(p => !p.isFolded);
+        
+        // Baralho insuficiente (seventh street com mesa cheia): uma carta comunitária aberta vale para todos
+        if (!isFirstStreet && this.deck.cards.length < players.length * (street.down + street.up)) {
+            const communityCard = this.deck.deal(1, true);
+            this.studBoardCards.push(...communityCard);
+            
+            console.log(`🃏 Baralho insuficiente na ${street.round}: carta comunitária ${communityCard[0].display}`);
+            this.emit('community_cards_dealt', {
+                count: 1,
+                cards: communityCard.map(c => c.display),
+                round: street.round,
+                totalCards: this.studBoardCards.length
+            });
+            return;
+        }
+        
+        const upCardsByPlayer = {};
+        
+        players.forEach(player => {
+            const cards = [
+                ...this.deck.deal(street.down, false),
+                ...this.deck.deal(street.up, true)
+            ];
+            
+            if (isFirstStreet) {
+                player.dealCards(cards, street.down + street.up);
+            } else {
+                player.addCards(cards);
+            }
+            
+            upCardsByPlayer[player.userId] = cards.filter(c => c.faceUp).map(c => c.display);
+            
+            // Emite evento para o jogador específico (todas as suas cartas)
+            this.emitToPlayer(player.userId, 'cards_dealt', {
+                cards: cards.map(c => c.display),
+                round: street.round,
+                handNumber: this.handNumber
+            });
+        });
+        
+        // Cartas abertas são públicas
+        this.emit('stud_cards_dealt', {
+            round: street.round,
+            upCards: upCardsByPlayer,
+            handNumber: this.handNumber
+        });
+        
+        console.log(`🃏 ${street.round}: cartas distribuídas para ${players.length} jogadores`);
+    }
+    
     // Aplica blinds obrigatórios
     postBlinds() {
+        // Stud: antes + bring-in
+        if (this.forcedBets === FORCED_BET_STRUCTURES.BRING_IN) {
+            this.postAntesAndBringIn();
+            return;
+        }
+        
+        // Estruturas sem small/big blind (ex: Short Deck)
+        if (this.forcedBets !== FORCED_BET_STRUCTURES.BLINDS) {
+            this.postAntesAndButtonBlind();
+            return;
+        }
+        
         const activePlayers = this.playerManager.getActivePlayers();
         
+        // Blinds pelas cadeiras definidas no início da mão (no heads-up, o botão posta o small blind),
+        // escolhidos antes dos antes, que podem zerar um stack
+        const sbPlayer = activePlayers.find(p => p.position === this.smallBlindSeat) || null;
+        const bbPlayer = activePlayers.find(p => p.position === this.bigBlindSeat) || null;
+        
+        // Ante antes dos blinds (no BB ante, o ante tem prioridade se o BB não cobrir os dois)
+        this.postBlindAntes(activePlayers);
+        
         // Small Blind
-        if (activePlayers[this.smallBlindPosition]) {
-            const sbPlayer = activePlayers[this.smallBlindPosition];
+        if (sbPlayer) {
             const sbAmount = Math.min(this.smallBlind, sbPlayer.chips);
             
             sbPlayer.addToBet(sbAmount);
             this.potManager.addBet(sbPlayer.userId, sbAmount);
-            this.currentMaxBet = sbAmount;
+            this.currentMaxBet = Math.max(this.currentMaxBet, sbAmount);
             
             sbPlayer.lastAction = 'small blind';
-            sbPlayer.hasActedThisRound = true;
+            sbPlayer.hasActedThisRound = false; // Blind não é ação: o jogador ainda completa ou desiste
             
             console.log(`💰 Small Blind: ${sbPlayer.nickname} apostou ${sbAmount}`);
         }
         
         // Big Blind
-        if (activePlayers[this.bigBlindPosition]) {
-            const bbPlayer = activePlayers[this.bigBlindPosition];
+        if (bbPlayer) {
             const bbAmount = Math.min(this.bigBlind, bbPlayer.chips);
             
             bbPlayer.addToBet(bbAmount);
             this.potManager.addBet(bbPlayer.userId, bbAmount);
-            this.currentMaxBet = bbAmount;
+            this.currentMaxBet = Math.max(this.currentMaxBet, bbAmount); // BB que o ante deixou sem fichas não zera a aposta
+            this.bettingStructure.recordForcedBet(this, bbAmount);
             
             bbPlayer.lastAction = 'big blind';
-            bbPlayer.hasActedThisRound = true;
+            bbPlayer.hasActedThisRound = false; // Big blind mantém a opção de aumentar
             
             console.log(`💰 Big Blind: ${bbPlayer.nickname} apostou ${bbAmount}`);
         }
         
-        // Ante (se houver)
-        if (this.ante > 0) {
-            activePlayers.forEach(player => {
-                if (player.position !== this.smallBlindPosition && 
-                    player.position !== this.bigBlindPosition) {
-                    
-                    const anteAmount = Math.min(this.ante, player.chips);
-                    if (anteAmount > 0) {
-                        player.addToBet(anteAmount);
-                        this.potManager.addBet(player.userId, anteAmount);
-                        
-                        player.lastAction = 'ante';
-                        console.log(`💰 Ante: ${player.nickname} pagou ${anteAmount}`);
-                    }
-                }
+        // Blinds devidos por quem voltou postando
+        this.postMissedBlinds(activePlayers);
+        
+        // Straddle (UTG ou, no Mississippi, botão)
+        this.postStraddle(activePlayers);
+    }
+    
+    // Ante na estrutura de blinds, conforme o tipo da mesa ou do nível do torneio
+    postBlindAntes(activePlayers) {
+        if (this.ante <= 0) return;
+        
+        switch (this.anteType) {
+            case ANTE_TYPES.BIG_BLIND:
+                this.postTableAnte(activePlayers[this.bigBlindPosition], 'Big Blind Ante');
+                break;
+            case ANTE_TYPES.BUTTON:
+                this.postTableAnte(activePlayers[this.dealerPosition], 'Button Ante');
+                break;
+            default:
+                this.postAntes(activePlayers);
+        }
+    }
+    
+    // Um jogador paga o ante pela mesa inteira (fichas mortas, não contam como aposta da rodada)
+    postTableAnte(player, label) {
+        if (!player) return;
+        
+        const posted = player.postAnte(this.ante);
+        if (posted > 0) {
+            this.potManager.addDeadMoney(player.userId, posted);
+            
+            player.lastAction = 'ante';
+            console.log(`💰 ${label}: ${player.nickname} pagou ${posted} pela mesa`);
+        }
+    }
+    
+    // Aplica ante de todos os jogadores e, na estrutura button-blind, o blind do botão
+    postAntesAndButtonBlind() {
+        const activePlayers = this.playerManager.getActivePlayers();
+        this.postAntes(activePlayers);
+        
+        // Blind do botão: o dealer posta um big blind e fala por último no preflop
+        if (this.forcedBets === FORCED_BET_STRUCTURES.BUTTON_BLIND && activePlayers[this.dealerPosition]) {
+            const buttonPlayer = activePlayers[this.dealerPosition];
+            const blindAmount = buttonPlayer.addToBet(this.bigBlind);
+            
+            if (blindAmount > 0) {
+                this.potManager.addBet(buttonPlayer.userId, blindAmount);
+                this.currentMaxBet = blindAmount;
+                this.bettingStructure.recordForcedBet(this, blindAmount);
+                
+                buttonPlayer.lastAction = 'button blind';
+                console.log(`💰 Button Blind: ${buttonPlayer.nickname} apostou ${blindAmount}`);
+            }
+        }
+    }
+    
+    // Pede straddle para a próxima mão (vale se o jogador estiver no UTG, ou no botão com Mississippi)
+    requestStraddle(playerId) {
+        const player = this.playerManager.getPlayerById(playerId);
+        if (!player) {
+            throw new Error('Jogador não encontrado');
+        }
+        
+        this.validateStraddle(player);
+        this.straddleRequests.add(playerId);
+        
+        console.log(`🎲 ${player.nickname} pediu straddle de ${this.getStraddleAmount()} na próxima mão`);
+        this.emit('straddle_requested', {
+            playerId: playerId,
+            amount: this.getStraddleAmount(),
+            mississippi: this.settings.mississippiStraddle
+        });
+        
+        return true;
+    }
+    
+    // Cancela pedido de straddle
+    cancelStraddle(playerId) {
+        return this.straddleRequests.delete(playerId);
+    }
+    
+    // Straddle: dois big blinds
+    getStraddleAmount() {
+        return this.bigBlind * 2;
+    }
+    
+    // Regras da mesa e stack do jogador (o straddle é vivo: precisa sobrar fichas para a opção)
+    validateStraddle(player) {
+        if (!this.settings.allowStraddle) {
+            throw new Error('Straddle não permitido nesta mesa');
+        }
+        if (this.gameType !== 'cash') {
+            throw new Error('Straddle disponível apenas em cash game');
+        }
+        if (this.forcedBets !== FORCED_BET_STRUCTURES.BLINDS || this.bettingLimit === BETTING_LIMITS.FIXED_LIMIT) {
+            throw new Error(`Straddle não disponível em ${this.variant.name} (${this.bettingStructure.name})`);
+        }
+        if (player.chips <= this.getStraddleAmount()) {
+            throw new Error(`Fichas insuficientes para straddle: ${this.getStraddleAmount()} (stack: ${player.chips})`);
+        }
+    }
+    
+    // Posta straddle pedido pelo UTG ou, no Mississippi, pelo botão (um por mão; pedidos valem só para a mão atual)
+    postStraddle(activePlayers) {
+        const requests = new Set(this.straddleRequests);
+        this.straddleRequests.clear();
+        
+        if (requests.size === 0 || activePlayers.length < 3) return;
+        
+        const candidates = [activePlayers[(this.bigBlindPosition + 1) % activePlayers.length]];
+        if (this.settings.mississippiStraddle) {
+            candidates.push(this.getButtonPlayer());
+        }
+        
+        const straddler = candidates.find(player => {
+            if (!player || !requests.has(player.userId)) return false;
+            
+            try {
+                this.validateStraddle(player);
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ Straddle de ${player.nickname} recusado: ${error.message}`);
+                this.emit('straddle_rejected', { playerId: player.userId, reason: error.message });
+                return false;
+            }
+        });
+        
+        if (!straddler) return;
+        
+        const amount = this.getStraddleAmount();
+        straddler.addToBet(amount);
+        this.potManager.addBet(straddler.userId, amount);
+        
+        // Straddle vira o novo big blind: raise mínimo para 2x o straddle
+        this.currentMaxBet = amount;
+        this.lastRaiseAmount = amount;
+        this.straddlePlayer = straddler.userId;
+        this.straddleAmount = amount;
+        
+        straddler.lastAction = 'straddle';
+        straddler.hasActedThisRound = false; // Straddle vivo: fala por último no preflop
+        
+        const type = straddler.position === this.buttonSeat ? 'mississippi' : 'utg';
+        console.log(`💰 Straddle (${type}): ${straddler.nickname} apostou ${amount}`);
+        this.emit('straddle_posted', {
+            playerId: straddler.userId,
+            amount: amount,
+            type: type,
+            handNumber: this.handNumber
+        });
+    }
+    
+    // ================ BOMB POT ================
+    
+    // Voto para bomb pot na próxima mão (aprovado quando todos os jogadores da mesa votam)
+    voteBombPot(playerId) {
+        if (!this.settings.bombPotVoting) {
+            throw new Error('Votação de bomb pot não permitida nesta mesa');
+        }
+        if (!this.canPlayBombPot()) {
+            throw new Error(`Bomb pot não disponível em ${this.variant.name}`);
+        }
+        
+        const player = this.playerManager.getPlayerById(playerId);
+        if (!player) {
+            throw new Error('Jogador não encontrado');
+        }
+        
+        this.bombPotVotes.add(playerId);
+        
+        const voters = this.playerManager.getPlayersEligibleForCards().map(p => p.userId);
+        const pending = voters.filter(id => !this.bombPotVotes.has(id));
+        
+        console.log(`💣 ${player.nickname} votou por bomb pot (${voters.length - pending.length}/${voters.length})`);
+        this.emit('bomb_pot_vote', {
+            playerId: playerId,
+            pending: pending
+        });
+        
+        if (pending.length === 0) {
+            this.bombPotScheduled = true;
+            this.bombPotVotes.clear();
+            
+            console.log('💣 Bomb pot aprovado para a próxima mão');
+            this.emit('bomb_pot_scheduled', {
+                handNumber: this.handNumber + 1,
+                amount: this.getBombPotAmount(),
+                doubleBoard: this.settings.bombPotDoubleBoard
             });
         }
+        
+        return this.bombPotScheduled;
+    }
+    
+    // Valor que cada jogador posta no bomb pot
+    getBombPotAmount() {
+        return this.settings.bombPotAmount || this.bigBlind * 2;
+    }
+    
+    // Bomb pot começa no flop: não existe no Stud nem com descarte antes do flop (Pineapple)
+    canPlayBombPot() {
+        return !this.variant.stud && this.variant.discardRound !== 'preflop';
+    }
+    
+    // Bomb pot da mão atual (null se for mão normal); consome a votação aprovada
+    createBombPot() {
+        if (!this.canPlayBombPot()) return null;
+        
+        let trigger = null;
+        if (this.bombPotScheduled) {
+            trigger = 'vote';
+        } else if (this.settings.bombPotEvery > 0 && this.handNumber % this.settings.bombPotEvery === 0) {
+            trigger = 'scheduled';
+        }
+        
+        if (!trigger) return null;
+        
+        this.bombPotScheduled = false;
+        this.bombPotVotes.clear();
+        
+        return {
+            amount: this.getBombPotAmount(),
+            trigger: trigger,
+            doubleBoard: this.settings.bombPotDoubleBoard,
+            boards: this.settings.bombPotDoubleBoard ? [[], []] : null,
+            results: null   // Ganhos por board após a distribuição (double board)
+        };
+    }
+    
+    // Todos postam o valor do bomb pot; não há apostas no preflop
+    postBombPot() {
+        const players = this.playerManager.getPlayersInHand();
+        
+        players.forEach(player => {
+            const posted = player.addToBet(this.bombPot.amount);
+            if (posted > 0) {
+                this.potManager.addBet(player.userId, posted);
+                player.lastAction = 'bomb pot';
+            }
+        });
+        
+        console.log(`💣 Bomb pot${this.bombPot.doubleBoard ? ' (double board)' : ''}: ${players.length} jogadores postaram ${this.bombPot.amount}`);
+        this.emit('bomb_pot_started', {
+            amount: this.bombPot.amount,
+            trigger: this.bombPot.trigger,
+            doubleBoard: this.bombPot.doubleBoard,
+            players: players.map(p => p.userId),
+            potTotal: this.potManager.totalAmount,
+            handNumber: this.handNumber
+        });
+    }
+    
+    // Stud: antes de todos e bring-in obrigatório da menor carta aberta
+    postAntesAndBringIn() {
+        this.postAntes(this.playerManager.getPlayersInHand());
+        
+        const bringInPlayer = this.findBringInPlayer();
+        if (!bringInPlayer) return;
+        
+        const amount = bringInPlayer.addToBet(this.bringIn);
+        if (amount > 0) {
+            this.potManager.addBet(bringInPlayer.userId, amount);
+        }
+        
+        this.currentMaxBet = amount;
+        this.bringInPlayer = bringInPlayer.userId;
+        this.bettingStructure.recordForcedBet(this, amount); // Os demais pagam o bring-in ou completam o bet
+        
+        bringInPlayer.lastAction = 'bring-in';
+        bringInPlayer.hasActedThisRound = true;
+        
+        console.log(`💰 Bring-in: ${bringInPlayer.nickname} (${bringInPlayer.getUpCards()[0].display}) apostou ${amount}`);
+    }
+    
+    // Ante da mão: o da mesa (ou do nível do torneio); sem ele, o padrão da variante (Short Deck: um small blind)
+    getAnteAmount() {
+        if (this.ante > 0) return this.ante;
+        return (this.variant.anteSmallBlinds || 0) * this.smallBlind;
+    }
+    
+    // Antes (fichas mortas) dos jogadores informados
+    postAntes(players) {
+        const anteAmount = this.getAnteAmount();
+        if (anteAmount <= 0) return;
+        
+        players.forEach(player => {
+            const posted = player.postAnte(anteAmount);
+            if (posted > 0) {
+                this.potManager.addBet(player.userId, posted);
+                
+                player.lastAction = 'ante';
+                console.log(`💰 Ante: ${player.nickname} pagou ${posted}`);
+            }
+        });
+    }
+    
+    // Bring-in: menor carta aberta (Ás é alto); empate decidido pela ordem dos naipes.
+    // No Razz é o contrário: maior carta aberta (Ás é baixo), empate para o naipe mais alto
+    findBringInPlayer() {
+        const lowball = this.variant.lowball;
+        const cardOrder = card => {
+            const value = lowball && card.value === 14 ? 1 : card.value;
+            return value * STUD_SUIT_ORDER.length + STUD_SUIT_ORDER.indexOf(card.suit);
+        };
+        const isWorse = (a, b) => lowball ? a > b : a < b;
+        
+        return this.playerManager.getPlayersInHand()
+            .filter(p => !p.isFolded && p.getUpCards().length > 0)
+            .reduce((worst, player) => {
+                if (!worst) return player;
+                return isWorse(cardOrder(player.getUpCards()[0]), cardOrder(worst.getUpCards()[0])) ? player : worst;
+            }, null);
     }
     
     // ================ GERENCIAMENTO DE TURNOS ================
@@ -525,12 +1584,19 @@ export class PokerGameManager {
         
         let startPosition;
         
-        if (this.currentRound === 'preflop') {
-            // No preflop, começa após o big blind
-            startPosition = (this.bigBlindPosition + 1) % playersInHand.length;
+        if (this.variant.stud) {
+            // Stud: quem está à esquerda do bring-in, depois o melhor jogo aberto
+            startPosition = this.getStudStartPosition(playersInHand);
+        } else if (this.currentRound === 'preflop' && this.straddlePlayer) {
+            // Com straddle, começa à esquerda de quem fez o straddle (que fala por último)
+            const straddleIndex = playersInHand.findIndex(p => p.userId === this.straddlePlayer);
+            startPosition = (straddleIndex + 1) % playersInHand.length;
+        } else if (this.currentRound === 'preflop' && this.forcedBets === FORCED_BET_STRUCTURES.BLINDS) {
+            // No preflop, começa após o big blind (no heads-up, o botão, que posta o small blind)
+            startPosition = this.getIndexAfterSeat(playersInHand, this.bigBlindSeat);
         } else {
-            // Nas outras rodadas, começa após o dealer
-            startPosition = (this.dealerPosition + 1) % playersInHand.length;
+            // Nas outras rodadas (e no preflop sem blinds), começa após o botão, mesmo morto (no heads-up, o big blind)
+            startPosition = this.getIndexAfterSeat(playersInHand, this.buttonSeat);
         }
         
         // Encontra próximo jogador que pode agir
@@ -551,6 +1617,35 @@ export class PokerGameManager {
         return null;
     }
     
+    // Stud: índice (em playersInHand) de quem começa a rodada
+    getStudStartPosition(playersInHand) {
+        if (this.currentRound === STUD_STREETS[0].round) {
+            const bringInIndex = playersInHand.findIndex(p => p.userId === this.bringInPlayer);
+            return (bringInIndex + 1) % playersInHand.length;
+        }
+        
+        // Melhor jogo aberto; empate fica com o primeiro à esquerda do dealer
+        const startPosition = this.getIndexAfterSeat(playersInHand, this.buttonSeat);
+        let bestIndex = 0;
+        let bestValue = -1;
+        
+        for (let i = 0; i < playersInHand.length; i++) {
+            const index = (startPosition + i) % playersInHand.length;
+            const player = playersInHand[index];
+            if (!this.canPlayerAct(player.userId) || player.getUpCards().length === 0) continue;
+            
+            const visibleValue = this.variant.lowball
+                ? this.handEvaluator.evaluateRazz(player.getUpCards()).value
+                : this.handEvaluator.evaluate(player.getUpCards()).value;
+            if (visibleValue > bestValue) {
+                bestValue = visibleValue;
+                bestIndex = index;
+            }
+        }
+        
+        return bestIndex;
+    }
+    
     // Avança para próximo jogador
     advanceTurn() {
         const currentPlayer = this.playerManager.getPlayerById(this.currentPlayerTurn);
@@ -564,13 +1659,13 @@ export class PokerGameManager {
             return null;
         }
         
-        // Encontra índice do jogador atual
-        const currentIndex = playersInHand.findIndex(p => p.userId === this.currentPlayerTurn);
-        let nextIndex = currentIndex;
+        // Começa pela cadeira à esquerda do jogador atual (que pode ter acabado de desistir e sair da lista)
+        const startIndex = currentPlayer ? this.getIndexAfterSeat(playersInHand, currentPlayer.position) : 0;
+        let nextIndex = startIndex;
         
         // Procura próximo jogador que pode agir
-        for (let i = 1; i <= playersInHand.length; i++) {
-            nextIndex = (currentIndex + i) % playersInHand.length;
+        for (let i = 0; i < playersInHand.length; i++) {
+            nextIndex = (startIndex + i) % playersInHand.length;
             const nextPlayer = playersInHand[nextIndex];
             
             if (this.canPlayerAct(nextPlayer.userId)) {
@@ -606,16 +1701,17 @@ export class PokerGameManager {
     
     // ================ GERENCIAMENTO DE AÇÕES ================
     
-    // Processa ação do jogador
+    // Processa ação do jogador (no descarte, amount é o id da carta descartada)
     processPlayerAction(playerId, action, amount = 0) {
         if (!this.initialized) {
             throw new Error('Jogo não inicializado');
         }
         
-        if (this.state !== GAME_STATES.PREFLOP &&
-            this.state !== GAME_STATES.FLOP &&
-            this.state !== GAME_STATES.TURN &&
-            this.state !== GAME_STATES.RIVER) {
+        if (action === ACTION_TYPES.DISCARD) {
+            return this.processDiscard(playerId, amount);
+        }
+        
+        if (!BETTING_STATES.includes(this.state)) {
             throw new Error('Não é hora de agir');
         }
         
@@ -633,24 +1729,48 @@ export class PokerGameManager {
         try {
             // Valida ação
             this.validateAction(player, action, amount);
+            const previousMaxBet = this.currentMaxBet;
             
             // Executa ação
             const actionResult = player.takeAction(action, amount, {
                 currentMaxBet: this.currentMaxBet,
-                currentRound: this.currentRound
+                currentRound: this.currentRound,
+                currentPlayerTurn: this.currentPlayerTurn,
+                minRaise: this.calculateMinRaise() // Total mínimo definido pela estrutura de apostas
             });
             
             // Atualiza pote
             if (actionResult.amount > 0) {
-                const potResult = this.potManager.addBet(playerId, actionResult.amount, player.chips);
+                const potResult = this.potManager.addBet(playerId, actionResult.amount);
                 
                 // Atualiza currentMaxBet se necessário
                 if (['bet', 'raise', 'allin'].includes(action)) {
                     this.currentMaxBet = Math.max(this.currentMaxBet, player.bet);
-                    this.lastRaiseAmount = action === 'raise' ? amount : 0;
                 }
             }
             
+            // Fold: as fichas do jogador ficam nos potes, mas ele deixa de disputá-los
+            if (player.isFolded) {
+                this.potManager.playerFolds(playerId);
+            }
+            
+            // Estrutura de apostas registra a ação (cap, raises completos e all-ins incompletos)
+            const betResult = this.bettingStructure.recordAction(this, player, action, previousMaxBet);
+            
+            // Só um bet/raise completo define o próximo raise mínimo (all-in incompleto não altera)
+            if (betResult.isFullRaise) {
+                this.lastRaiseAmount = player.bet - previousMaxBet;
+            }
+            
+            // Quem ainda deve fichas volta a agir (o direito de aumentar fica com a estrutura de apostas)
+            if (betResult.raisedBet) {
+                this.playerManager.getPlayersInHand().forEach(p => {
+                    if (p.userId !== playerId && !p.isFolded && !p.isAllIn && p.bet < this.currentMaxBet) {
+                        p.hasActedThisRound = false;
+                    }
+                });
+            }
+            
             // Registra última ação
             this.lastAction = {
                 playerId: playerId,
@@ -736,8 +1856,11 @@ export class PokerGameManager {
                 if (amount > playerChips) {
                     throw new Error('Fichas insuficientes');
                 }
-                if (amount < this.bigBlind) {
-                    throw new Error(`Bet mínimo: ${this.bigBlind}`);
+                if (amount < this.bettingStructure.getMinBet(this) && amount < playerChips) {
+                    throw new Error(`Bet mínimo: ${this.bettingStructure.getMinBet(this)}`);
+                }
+                if (amount > this.calculateMaxBet(player)) {
+                    throw new Error(`Bet máximo (${this.bettingStructure.name}): ${this.calculateMaxBet(player)}`);
                 }
                 break;
                 
@@ -746,115 +1869,544 @@ export class PokerGameManager {
                     throw new Error('Não pode fazer raise sem apostas anteriores');
                 }
                 
+                // minRaise é o total da aposta; amount são as fichas adicionadas
+                // (abaixo do mínimo, ou sem passar da aposta atual, só com o stack inteiro)
                 const minRaise = this.calculateMinRaise();
-                if (amount < minRaise && playerChips >= minRaise) {
+                const totalToCall = playerBet + amount;
+                const isWholeStack = amount === playerChips;
+                if (totalToCall <= this.currentMaxBet && !isWholeStack) {
+                    throw new Error(`Raise precisa passar da aposta atual (${this.currentMaxBet})`);
+                }
+                if (totalToCall < minRaise && !isWholeStack) {
                     throw new Error(`Raise mínimo: ${minRaise}`);
                 }
                 
-                const totalToCall = playerBet + amount;
                 if (totalToCall > playerChips + playerBet) {
                     throw new Error('Fichas insuficientes');
                 }
+                if (amount > this.calculateMaxBet(player)) {
+                    throw new Error(`Raise máximo (${this.bettingStructure.name}): ${this.calculateMaxBet(player)}`);
+                }
                 break;
-                
+            
             case 'allin':
                 if (playerChips <= 0) {
                     throw new Error('Sem fichas para all-in');
                 }
+                if (playerChips > this.calculateMaxBet(player)) {
+                    throw new Error(`All-in acima do limite (${this.bettingStructure.name}, máximo: ${this.calculateMaxBet(player)})`);
+                }
                 break;
-                
+            
             default:
                 throw new Error(`Ação inválida: ${action}`);
         }
+        
+        // Regras da estrutura de apostas (valores fixos, cap, ação não reaberta)
+        this.bettingStructure.validateAction(this, player, action.toLowerCase(), amount);
+    }
+    
+    // Calcula raise mínimo (valor total da aposta, definido pela estrutura de apostas)
+    calculateMinRaise() {
+        return this.bettingStructure.getMinRaise(this);
+    }
+    
+    // Calcula aposta máxima em fichas adicionadas (no-limit: stack; pot-limit: call + pote; fixed-limit: bet fixo)
+    calculateMaxBet(player) {
+        return this.bettingStructure.getMaxBet(this, player);
+    }
+    
+    // Ações permitidas para o jogador (valores em fichas adicionadas, como no processPlayerAction).
+    // Cada ação passa pelo validateAction, então a interface e o validador nunca discordam
+    getLegalActions(playerId) {
+        const legal = {
+            playerId: playerId,
+            isTurn: false,
+            actions: [],
+            callAmount: 0,
+            minBet: 0,
+            maxBet: 0,
+            minRaise: 0,
+            maxRaise: 0,
+            minRaiseTo: 0,      // Aposta total após o raise mínimo
+            presets: [],
+            raiseReopened: false,
+            discardCards: []
+        };
+        
+        const player = this.playerManager.getPlayerById(playerId);
+        if (!player || this.currentPlayerTurn !== playerId) return legal;
+        
+        legal.isTurn = true;
+        
+        // Pineapple: na fase de descarte a única ação é descartar uma das cartas
+        if (this.state === GAME_STATES.DISCARD) {
+            legal.actions = [ACTION_TYPES.DISCARD];
+            legal.discardCards = player.cards.map(card => card.id);
+            return legal;
+        }
+        
+        if (!BETTING_STATES.includes(this.state)) return legal;
+        
+        const isAllowed = (action, amount = 0) => {
+            try {
+                this.validateAction(player, action, amount);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        };
+        
+        const maxAmount = Math.min(this.calculateMaxBet(player), player.chips);
+        const aggressiveAction = this.currentMaxBet === 0 ? ACTION_TYPES.BET : ACTION_TYPES.RAISE;
+        
+        legal.callAmount = Math.min(player.getCallAmount(this.currentMaxBet), player.chips);
+        legal.raiseReopened = this.bettingStructure.canRaise(player, this);
+        
+        [ACTION_TYPES.FOLD, ACTION_TYPES.CHECK, ACTION_TYPES.CALL].forEach(action => {
+            if (action === ACTION_TYPES.CALL && legal.callAmount === 0) return;
+            if (isAllowed(action)) {
+                legal.actions.push(action);
+            }
+        });
+        
+        if (aggressiveAction === ACTION_TYPES.BET) {
+            const minBet = Math.min(this.bettingStructure.getMinBet(this), player.chips);
+            if (minBet > 0 && isAllowed(ACTION_TYPES.BET, minBet)) {
+                legal.actions.push(ACTION_TYPES.BET);
+                legal.minBet = minBet;
+                legal.maxBet = maxAmount;
+            }
+        } else {
+            legal.minRaiseTo = this.calculateMinRaise();
+            const minRaise = Math.min(legal.minRaiseTo - player.bet, player.chips);
+            if (minRaise > legal.callAmount && isAllowed(ACTION_TYPES.RAISE, minRaise)) {
+                legal.actions.push(ACTION_TYPES.RAISE);
+                legal.minRaise = minRaise;
+                legal.maxRaise = maxAmount;
+            }
+        }
+        
+        if (isAllowed(ACTION_TYPES.ALL_IN)) {
+            legal.actions.push(ACTION_TYPES.ALL_IN);
+        }
+        
+        // Atalhos de pote: call + fração do pote após o call, limitados ao mínimo e máximo permitidos
+        if (legal.actions.includes(aggressiveAction)) {
+            const min = aggressiveAction === ACTION_TYPES.BET ? legal.minBet : legal.minRaise;
+            const potAfterCall = this.potManager.totalAmount + legal.callAmount;
+            
+            legal.presets = BET_PRESETS.map(preset => {
+                const target = legal.callAmount + Math.floor(potAfterCall * preset.fraction);
+                const amount = Math.max(min, Math.min(target, maxAmount));
+                return {
+                    label: preset.label,
+                    action: aggressiveAction,
+                    amount: amount,
+                    isAllIn: amount === player.chips
+                };
+            }).filter(preset => isAllowed(preset.action, preset.amount));
+        }
+        
+        return legal;
+    }
+    
+    // ================ GERENCIAMENTO DE RODADAS ================
+    
+    // Verifica se rodada está completa
+    isRoundComplete() {
+        const playersInHand = this.playerManager.getPlayersInHand();
+        if (playersInHand.length <= 1) return true;
+        
+        // Verifica se todos jogadores ativos já agiram (quem ainda deve fichas volta a agir a cada aumento,
+        // então, sem ninguém para agir, a rodada fecha mesmo que um blind curto deixe apostas diferentes)
+        return playersInHand.every(p => 
+            p.hasActedThisRound || p.isAllIn || p.isFolded
+        );
+    }
+    
+    // Verifica e processa conclusão da rodada
+    checkRoundCompletion() {
+        if (!this.isRoundComplete()) return;
+        
+        console.log(`✅ Rodada ${this.currentRound} completa`);
+        
+        // Todos os outros desistiram: a mão termina sem abrir o resto do board
+        if (this.playerManager.getPlayersInHand().length <= 1) {
+            this.goToShowdown();
+            return;
+        }
+        
+        // Pineapple: descarte antes da próxima rua
+        if (this.isDiscardPending()) {
+            this.startDiscardPhase();
+            return;
+        }
+        
+        // Ninguém mais pode apostar: corre o board até o fim (ou oferece run it twice)
+        if (this.isAllInRunout() && !this.isLastRound()) {
+            this.startAllInRunout();
+            return;
+        }
+        
+        // Avança para próxima rodada ou vai para showdown
+        if (!this.dealNextStreet()) {
+            this.goToShowdown();
+            return;
+        }
+        
+        // Reseta estado para nova rodada
+        this.resetForNewRound();
+        
+        // Determina próximo jogador
+        this.determineFirstToAct();
+        
+        // Atualiza estado
+        this.state = GAME_STATES[this.currentRound.toUpperCase()];
+        this.roundStartTime = new Date();
+        
+        // Emite evento
+        this.emit('round_completed', {
+            round: this.currentRound,
+            communityCards: this.potManager.communityCards,
+            potTotal: this.potManager.totalAmount,
+            nextPlayer: this.currentPlayerTurn
+        });
+        
+        // Inicia timer se houver jogador
+        if (this.currentPlayerTurn) {
+            this.startActionTimer();
+        }
+    }
+    
+    // Distribui a próxima rua (board ou Stud); false se a rodada atual já é a última
+    dealNextStreet() {
+        const streets = this.variant.stud ? STUD_STREETS : BOARD_STREETS;
+        const streetIndex = streets.findIndex(street => street.round === this.currentRound);
+        const nextStreet = streets[streetIndex + 1];
+        
+        if (!nextStreet) return false;
+        
+        this.currentRound = nextStreet.round;
+        
+        if (this.variant.stud) {
+            // Não queima a última carta (reservada para a carta comunitária)
+            if (this.deck.cards.length > 1) {
+                this.deck.burnCard();
+            }
+            this.dealStudStreet(nextStreet);
+        } else {
+            this.dealCommunityCards(nextStreet.cards);
+        }
+        
+        return true;
+    }
+    
+    // Rodada atual é a última de apostas (river ou seventh street)?
+    isLastRound() {
+        const streets = this.variant.stud ? STUD_STREETS : BOARD_STREETS;
+        return this.currentRound === streets[streets.length - 1].round;
+    }
+    
+    // Mais de um jogador na mão e no máximo um ainda com fichas para apostar
+    isAllInRunout() {
+        const playersInHand = this.playerManager.getPlayersInHand().filter(p => !p.isFolded);
+        return playersInHand.length > 1 && playersInHand.filter(p => !p.isAllIn).length <= 1;
+    }
+    
+    // Todos all-in: sem mais rodadas de apostas até o showdown
+    startAllInRunout() {
+        this.stopActionTimer();
+        this.resetForNewRound();
+        this.currentPlayerTurn = null;
+        
+        // Crazy Pineapple: corre até o flop e espera o descarte antes de continuar
+        if (this.variant.discardRound && !this.discardPhase?.completed) {
+            while (!this.isDiscardPending() && this.dealNextStreet()) {
+                console.log(`🏃 Board corrido: ${this.currentRound}`);
+            }
+            this.startDiscardPhase(true);
+            return;
+        }
+        
+        this.emit('all_in_runout', {
+            round: this.currentRound,
+            players: this.playerManager.getPlayersInHand().filter(p => !p.isFolded).map(p => p.userId),
+            potTotal: this.potManager.totalAmount
+        });
+        
+        // Run it twice só existe com um board (no Stud e no double board o restante é distribuído uma vez)
+        if (this.settings.allowRunningItTwice && !this.variant.stud && !this.bombPot?.doubleBoard) {
+            this.offerRunItTwice();
+            return;
+        }
+        
+        this.runOutBoard();
+        this.goToShowdown();
+    }
+    
+    // Distribui as ruas restantes sem apostas
+    runOutBoard() {
+        while (this.dealNextStreet()) {
+            console.log(`🏃 Board corrido: ${this.currentRound}`);
+        }
+    }
+    
+    // ================ DESCARTE (PINEAPPLE) ================
+    
+    // A rodada de descarte da variante terminou e ninguém descartou ainda?
+    isDiscardPending() {
+        return this.variant.discardRound === this.currentRound && !this.discardPhase?.completed;
+    }
+    
+    // Cada jogador na mão (inclusive all-in) descarta uma carta, em ordem a partir da esquerda do dealer
+    startDiscardPhase(resumeRunout = false) {
+        this.stopActionTimer();
+        
+        const playersInHand = this.playerManager.getPlayersInHand();
+        const startPosition = this.getIndexAfterSeat(playersInHand, this.buttonSeat);
+        const order = [...playersInHand.slice(startPosition), ...playersInHand.slice(0, startPosition)]
+            .filter(p => !p.isFolded);
+        
+        this.state = GAME_STATES.DISCARD;
+        this.discardPhase = {
+            round: this.currentRound,
+            pending: order.map(p => p.userId),
+            discarded: [],
+            completed: false,
+            resumeRunout: resumeRunout  // All-in antes do descarte: o board continua depois dele
+        };
+        
+        this.currentPlayerTurn = this.discardPhase.pending[0];
+        this.playerManager.getPlayerById(this.currentPlayerTurn).isCurrentTurn = true;
+        
+        console.log(`🗑️ Descarte (${this.currentRound}): ${order.map(p => p.nickname).join(', ')}`);
+        this.emit('discard_started', {
+            round: this.currentRound,
+            players: [...this.discardPhase.pending],
+            handNumber: this.handNumber
+        });
+        
+        this.startActionTimer();
     }
     
-    // Calcula raise mínimo
-    calculateMinRaise() {
-        if (this.currentMaxBet === 0) {
-            return this.bigBlind; // Bet mínimo é o big blind
+    // Descarte do jogador da vez: a carta vai para as queimadas do baralho
+    processDiscard(playerId, cardId) {
+        if (this.state !== GAME_STATES.DISCARD || !this.discardPhase) {
+            throw new Error('Não é hora de descartar');
+        }
+        
+        if (this.currentPlayerTurn !== playerId) {
+            throw new Error('Não é sua vez');
+        }
+        
+        const player = this.playerManager.getPlayerById(playerId);
+        if (!player) {
+            throw new Error('Jogador não encontrado');
         }
         
-        if (this.lastRaiseAmount > 0) {
-            return this.currentMaxBet + this.lastRaiseAmount;
+        const card = player.discardCard(cardId);
+        this.deck.burnedCards.push(card);
+        
+        this.stopActionTimer();
+        player.isCurrentTurn = false;
+        this.discardPhase.pending.shift();
+        this.discardPhase.discarded.push(playerId);
+        
+        this.lastAction = {
+            playerId: playerId,
+            action: ACTION_TYPES.DISCARD,
+            amount: 0,
+            timestamp: new Date()
+        };
+        this.actionHistory.push({
+            handNumber: this.handNumber,
+            round: this.currentRound,
+            ...this.lastAction
+        });
+        
+        // A carta descartada não é revelada para a mesa
+        this.emit('player_action_processed', {
+            playerId: playerId,
+            nickname: player.nickname,
+            action: ACTION_TYPES.DISCARD,
+            amount: 0,
+            newStack: player.chips,
+            currentMaxBet: this.currentMaxBet,
+            potTotal: this.potManager.totalAmount
+        });
+        
+        if (this.discardPhase.pending.length > 0) {
+            this.currentPlayerTurn = this.discardPhase.pending[0];
+            this.playerManager.getPlayerById(this.currentPlayerTurn).isCurrentTurn = true;
+            this.startActionTimer();
+        } else {
+            this.finishDiscardPhase();
         }
         
-        return this.currentMaxBet * 2;
+        return {
+            success: true,
+            action: ACTION_TYPES.DISCARD,
+            amount: 0,
+            player: player.toJSON(),
+            gameState: this.getGameState()
+        };
     }
     
-    // ================ GERENCIAMENTO DE RODADAS ================
+    // Todos descartaram: segue para a próxima rua (ou continua o board corrido)
+    finishDiscardPhase() {
+        this.discardPhase.completed = true;
+        this.currentPlayerTurn = null;
+        this.state = GAME_STATES[this.currentRound.toUpperCase()];
+        
+        console.log(`🗑️ Descarte concluído (${this.discardPhase.discarded.length} cartas queimadas)`);
+        this.emit('discard_completed', {
+            round: this.currentRound,
+            players: [...this.discardPhase.discarded],
+            handNumber: this.handNumber
+        });
+        
+        if (this.discardPhase.resumeRunout) {
+            this.startAllInRunout();
+        } else {
+            this.checkRoundCompletion();
+        }
+    }
     
-    // Verifica se rodada está completa
-    isRoundComplete() {
-        const playersInHand = this.playerManager.getPlayersInHand();
-        if (playersInHand.length <= 1) return true;
+    // ================ RUN IT TWICE ================
+    
+    // Pergunta aos jogadores all-in se querem correr o board duas vezes (todos precisam aceitar)
+    offerRunItTwice() {
+        const players = this.playerManager.getPlayersInHand().filter(p => !p.isFolded);
         
-        // Verifica se todos jogadores ativos já agiram
-        const allActed = playersInHand.every(p => 
-            p.hasActedThisRound || p.isAllIn || p.isFolded
-        );
+        this.state = GAME_STATES.RUN_IT_TWICE;
+        this.runItTwice = {
+            players: players.map(p => p.userId),
+            votes: {},
+            agreed: null,
+            boards: [],
+            results: null   // Ganhos por corrida após a distribuição
+        };
         
-        if (!allActed) return false;
+        this.startRunItTwiceTimer();
         
-        // Verifica se todas apostas estão igualadas
-        return playersInHand.every(p => 
-            p.isAllIn || p.isFolded || p.bet === this.currentMaxBet
-        );
+        console.log(`🎲 Run it twice oferecido para ${players.map(p => p.nickname).join(', ')}`);
+        this.emit('run_it_twice_offered', {
+            players: this.runItTwice.players,
+            round: this.currentRound,
+            timeLimit: this.actionTime,
+            handNumber: this.handNumber
+        });
     }
     
-    // Verifica e processa conclusão da rodada
-    checkRoundCompletion() {
-        if (!this.isRoundComplete()) return;
+    // Sem resposta dentro do tempo de ação vale como recusa
+    startRunItTwiceTimer() {
+        clearTimeout(this.runItTwiceTimer);
         
-        console.log(`✅ Rodada ${this.currentRound} completa`);
-        
-        // Avança para próxima rodada ou vai para showdown
-        switch(this.currentRound) {
-            case 'preflop':
-                this.dealCommunityCards(3); // Flop
-                this.currentRound = 'flop';
-                break;
-                
-            case 'flop':
-                this.dealCommunityCards(1); // Turn
-                this.currentRound = 'turn';
-                break;
-                
-            case 'turn':
-                this.dealCommunityCards(1); // River
-                this.currentRound = 'river';
-                break;
-                
-            case 'river':
-                this.goToShowdown();
-                return;
+        this.runItTwiceTimer = setTimeout(() => {
+            if (this.state === GAME_STATES.RUN_IT_TWICE) {
+                console.log('⏰ Run it twice: tempo esgotado, board corrido uma vez');
+                this.resolveRunItTwice(false);
+            }
+        }, this.actionTime * 1000);
+    }
+    
+    // Registra resposta de um jogador; qualquer recusa encerra a votação
+    respondRunItTwice(playerId, accept) {
+        if (this.state !== GAME_STATES.RUN_IT_TWICE || !this.runItTwice) {
+            throw new Error('Nenhuma oferta de run it twice em andamento');
+        }
+        if (!this.runItTwice.players.includes(playerId)) {
+            throw new Error('Jogador não participa do run it twice');
+        }
+        if (this.runItTwice.votes[playerId] !== undefined) {
+            throw new Error('Jogador já respondeu ao run it twice');
         }
         
-        // Reseta estado para nova rodada
-        this.resetForNewRound();
+        this.runItTwice.votes[playerId] = Boolean(accept);
         
-        // Determina próximo jogador
-        this.determineFirstToAct();
+        console.log(`🎲 ${this.playerManager.getPlayerById(playerId)?.nickname}: ${accept ? 'aceita' : 'recusa'} run it twice`);
+        this.emit('run_it_twice_vote', {
+            playerId: playerId,
+            accept: Boolean(accept),
+            pending: this.runItTwice.players.filter(id => this.runItTwice.votes[id] === undefined)
+        });
         
-        // Atualiza estado
-        this.state = this.currentRound.toUpperCase();
-        this.roundStartTime = new Date();
+        if (!accept) {
+            this.resolveRunItTwice(false);
+        } else if (this.runItTwice.players.every(id => this.runItTwice.votes[id] === true)) {
+            this.resolveRunItTwice(true);
+        }
         
-        // Emite evento
-        this.emit('round_completed', {
-            round: this.currentRound,
-            communityCards: this.potManager.communityCards,
-            potTotal: this.potManager.totalAmount,
-            nextPlayer: this.currentPlayerTurn
+        return this.runItTwice;
+    }
+    
+    // Encerra a votação e corre o board uma ou duas vezes
+    resolveRunItTwice(agreed) {
+        clearTimeout(this.runItTwiceTimer);
+        this.runItTwiceTimer = null;
+        this.runItTwice.agreed = agreed;
+        
+        this.emit('run_it_twice_decided', {
+            agreed: agreed,
+            votes: { ...this.runItTwice.votes }
         });
         
-        // Inicia timer se houver jogador
-        if (this.currentPlayerTurn) {
-            this.startActionTimer();
+        if (!agreed) {
+            this.runOutBoard();
+            this.goToShowdown();
+            return;
         }
+        
+        // Primeira corrida pelo fluxo normal; a segunda reaproveita as cartas já abertas antes do all-in
+        const sharedCards = this.getCommunityCards().length;
+        this.runOutBoard();
+        
+        const firstBoard = [...this.getCommunityCards()];
+        const secondBoard = firstBoard.slice(0, sharedCards);
+        let dealtCards = 0;
+        
+        BOARD_STREETS.forEach(street => {
+            dealtCards += street.cards;
+            if (street.cards > 0 && dealtCards > sharedCards) {
+                this.deck.burnCard();
+                secondBoard.push(...this.deck.deal(street.cards, true));
+            }
+        });
+        
+        this.runItTwice.boards = [firstBoard, secondBoard];
+        
+        console.log(`🎲 Run it twice: ${this.runItTwice.boards.map(board => board.map(c => c.display).join(' ')).join(' | ')}`);
+        this.emit('run_it_twice_boards', {
+            boards: this.runItTwice.boards.map(board => board.map(c => c.display)),
+            sharedCards: sharedCards,
+            handNumber: this.handNumber
+        });
+        
+        this.goToShowdown();
     }
     
     // Distribui cartas comunitárias
     dealCommunityCards(count) {
+        // Double board: cada board queima e recebe suas cartas
+        if (this.bombPot?.doubleBoard) {
+            this.bombPot.boards.forEach(board => {
+                this.deck.burnCard();
+                board.push(...this.deck.deal(count, true));
+            });
+            
+            console.log(`🃏 ${count} carta(s) por board: ${this.bombPot.boards.map(board => board.slice(-count).map(c => c.display).join(' ')).join(' | ')}`);
+            
+            this.emit('community_cards_dealt', {
+                count: count,
+                cards: this.bombPot.boards[0].slice(-count).map(c => c.display),
+                boards: this.bombPot.boards.map(board => board.slice(-count).map(c => c.display)),
+                round: this.currentRound,
+                totalCards: count * this.bombPot.boards.length
+            });
+            return;
+        }
+        
         // Queima uma carta
         this.deck.burnCard();
         
@@ -890,6 +2442,7 @@ export class PokerGameManager {
         this.currentMaxBet = 0;
         this.lastRaiseAmount = 0;
         this.lastAction = null;
+        this.bettingStructure.resetForNewRound();
         
         console.log(`🔄 Estado resetado para rodada ${this.currentRound}`);
     }
@@ -913,24 +2466,53 @@ export class PokerGameManager {
             return;
         }
         
+        // Run it twice ou double board: cada board é avaliado separadamente
+        const boards = this.runItTwice?.agreed ? this.runItTwice.boards : this.bombPot?.boards;
+        if (boards) {
+            const runs = boards.map(board => {
+                const handEvaluations = this.evaluateAllHands(playersInShowdown, board);
+                return {
+                    board: board.map(c => c.display),
+                    handEvaluations: handEvaluations,
+                    winners: this.determineWinners(handEvaluations),
+                    lowEvaluations: this.variant.hiLo ? this.evaluateLowHands(playersInShowdown, board) : null
+                };
+            });
+            
+            this.distributeRuns(runs);
+            return;
+        }
+        
         // Avalia mãos de todos jogadores
         const handEvaluations = this.evaluateAllHands(playersInShowdown);
         
         // Encontra vencedor(es)
         const winners = this.determineWinners(handEvaluations);
         
+        // Hi-Lo: avalia lows qualificados para dividir cada pote
+        const lowEvaluations = this.variant.hiLo ? this.evaluateLowHands(playersInShowdown) : null;
+        
         // Distribui pote
-        this.distributePot(winners, handEvaluations);
+        this.distributePot(winners, handEvaluations, lowEvaluations);
     }
     
     // Avalia mãos de todos jogadores
-    evaluateAllHands(players) {
+    evaluateAllHands(players, communityCards = this.getCommunityCards()) {
         const evaluations = {};
-        const communityCards = this.getCommunityCards();
+        const expectedCards = this.variant.stud
+            ? STUD_HAND_SIZE - communityCards.length
+            : this.variant.holeCards - (this.variant.discardRound ? 1 : 0); // Pineapple: showdown sempre após o descarte
         
         players.forEach(player => {
-            if (player.cards && player.cards.length === 2) {
-                const evaluation = this.handEvaluator.evaluate(player.cards, communityCards);
+            if (player.cards && player.cards.length === expectedCards) {
+                let evaluation;
+                if (this.variant.lowball) {
+                    evaluation = this.handEvaluator.evaluateRazz([...player.cards, ...communityCards]);
+                } else if (this.variant.holeCardsUsed === 2) {
+                    evaluation = this.handEvaluator.evaluateOmaha(player.cards, communityCards);
+                } else {
+                    evaluation = this.handEvaluator.evaluate(player.cards, communityCards);
+                }
                 evaluations[player.userId] = evaluation;
                 
                 player.bestHand = evaluation;
@@ -943,8 +2525,41 @@ export class PokerGameManager {
         return evaluations;
     }
     
+    // Avalia lows 8-or-better (apenas jogadores que qualificam entram no resultado)
+    evaluateLowHands(players, communityCards = this.getCommunityCards()) {
+        const lowEvaluations = {};
+        
+        players.forEach(player => {
+            const lowEvaluation = this.variant.holeCardsUsed === 2
+                ? this.handEvaluator.evaluateOmahaLow(player.cards || [], communityCards)
+                : this.handEvaluator.evaluateLow([...(player.cards || []), ...communityCards]);
+            player.bestLowHand = lowEvaluation;
+            
+            if (lowEvaluation) {
+                lowEvaluations[player.userId] = lowEvaluation;
+                console.log(`🔻 ${player.nickname}: ${lowEvaluation.description}`);
+            }
+        });
+        
+        if (Object.keys(lowEvaluations).length === 0) {
+            console.log('🔻 Nenhum low qualificado: high leva o pote inteiro');
+        }
+        
+        return lowEvaluations;
+    }
+    
     // Obtém cartas comunitárias
     getCommunityCards() {
+        // Stud: só existe board quando o baralho acaba na seventh street
+        if (this.variant.stud) {
+            return this.studBoardCards;
+        }
+        
+        // Double board: o primeiro board é o principal (o segundo fica em bombPot.boards)
+        if (this.bombPot?.doubleBoard) {
+            return this.bombPot.boards[0];
+        }
+        
         // Tenta obter do potManager ou cria array vazio
         if (this.potManager.communityCards) {
             return this.potManager.communityCards;
@@ -982,8 +2597,8 @@ export class PokerGameManager {
         return winners;
     }
     
-    // Distribui pote para vencedores
-    distributePot(winners, handEvaluations = {}) {
+    // Distribui pote para vencedores (lowEvaluations apenas no Hi-Lo)
+    distributePot(winners, handEvaluations = {}, lowEvaluations = null) {
         if (winners.length === 0) {
             console.warn('⚠️ Nenhum vencedor para distribuir pote');
             return;
@@ -993,11 +2608,89 @@ export class PokerGameManager {
         
         console.log(`💰 Distribuindo pote para ${winners.length} vencedor(es)`);
         
-        // Distribui através do potManager
-        const distribution = this.potManager.distributeAllPots(winners, handEvaluations);
+        // Distribui através do potManager (aposta não paga volta antes; ficha ímpar a partir da esquerda do botão)
+        this.potManager.setOddChipOrder(this.getPlayersFromButton().map(p => p.userId));
+        const distribution = this.potManager.distributeAllPots(winners, handEvaluations, lowEvaluations);
+        const payouts = this.payWinners(distribution);
+        
+        // Emite evento
+        this.emit('pot_distributed', {
+            winners: payouts.map(({ playerId, amount }) => ({
+                playerId: playerId,
+                nickname: this.playerManager.getPlayerById(playerId)?.nickname,
+                amount: amount,
+                highAmount: distribution.isHiLo ? distribution.high[playerId] || 0 : amount,
+                lowAmount: distribution.isHiLo ? distribution.low[playerId] || 0 : 0
+            })),
+            totalDistributed: distribution.totalDistributed,
+            uncalledBets: distribution.uncalledBets,
+            isHiLo: distribution.isHiLo,
+            high: distribution.isHiLo ? this.summarizeHalf(distribution.pots, 'high') : null,
+            low: distribution.isHiLo ? this.summarizeHalf(distribution.pots, 'low') : null,
+            pots: distribution.pots.map(pot => ({
+                potId: pot.potId,
+                amount: pot.amount,
+                high: pot.high,
+                low: pot.low
+            })),
+            handNumber: this.handNumber
+        });
+        
+        // Finaliza mão
+        this.finishHand();
+    }
+    
+    // Distribui potes do run it twice (ou do double board): metade de cada pote por corrida
+    distributeRuns(runs) {
+        this.state = GAME_STATES.DISTRIBUTING;
+        
+        const doubleBoard = !this.runItTwice?.agreed;
+        console.log(`💰 Distribuindo pote em ${runs.length} ${doubleBoard ? 'boards' : 'corridas'}`);
+        
+        this.potManager.setOddChipOrder(this.getPlayersFromButton().map(p => p.userId));
+        const distribution = doubleBoard
+            ? this.potManager.distributeAllPotsByBoards(runs)
+            : this.potManager.distributeAllPotsByRuns(runs);
+        const payouts = this.payWinners(distribution);
+        
+        (doubleBoard ? this.bombPot : this.runItTwice).results = distribution.runs;
+        
+        this.emit('pot_distributed', {
+            winners: payouts.map(({ playerId, amount }) => ({
+                playerId: playerId,
+                nickname: this.playerManager.getPlayerById(playerId)?.nickname,
+                amount: amount,
+                highAmount: distribution.isHiLo ? distribution.high[playerId] || 0 : amount,
+                lowAmount: distribution.isHiLo ? distribution.low[playerId] || 0 : 0
+            })),
+            totalDistributed: distribution.totalDistributed,
+            uncalledBets: distribution.uncalledBets,
+            isHiLo: distribution.isHiLo,
+            runItTwice: !doubleBoard,
+            doubleBoard: doubleBoard,
+            runs: distribution.runs,
+            pots: distribution.pots.map(pot => ({
+                potId: pot.potId,
+                amount: pot.amount,
+                runs: pot.runs
+            })),
+            handNumber: this.handNumber
+        });
+        
+        this.finishHand();
+    }
+    
+    // Credita os ganhos da distribuição nas fichas dos jogadores
+    payWinners(distribution) {
+        // Aposta não paga volta ao apostador (não conta como prêmio)
+        distribution.uncalledBets.forEach(({ playerId, amount }) => {
+            this.playerManager.getPlayerById(playerId)?.returnUncalledBet(amount);
+        });
+        
+        const payouts = Object.entries(distribution.winners)
+            .map(([playerId, amount]) => ({ playerId, amount }));
         
-        // Atualiza fichas dos jogadores
-        distribution.forEach(({ playerId, amount }) => {
+        payouts.forEach(({ playerId, amount }) => {
             const player = this.playerManager.getPlayerById(playerId);
             if (player) {
                 player.winChips(amount);
@@ -1010,19 +2703,24 @@ export class PokerGameManager {
             }
         });
         
-        // Emite evento
-        this.emit('pot_distributed', {
-            winners: winners.map(id => ({
-                playerId: id,
-                nickname: this.playerManager.getPlayerById(id)?.nickname,
-                amount: distribution.find(d => d.playerId === id)?.amount || 0
-            })),
-            totalDistributed: distribution.reduce((sum, d) => sum + d.amount, 0),
-            handNumber: this.handNumber
+        return payouts;
+    }
+    
+    // Soma uma metade (high ou low) de todos os potes: total e vencedores
+    summarizeHalf(pots, half) {
+        const summary = { amount: 0, winners: [] };
+        
+        pots.forEach(pot => {
+            if (!pot[half]) return;
+            summary.amount += pot[half].amount;
+            pot[half].winners.forEach(playerId => {
+                if (!summary.winners.includes(playerId)) {
+                    summary.winners.push(playerId);
+                }
+            });
         });
         
-        // Finaliza mão
-        this.finishHand();
+        return summary;
     }
     
     // Finaliza mão atual
@@ -1033,11 +2731,25 @@ export class PokerGameManager {
         const handDuration = this.handStartTime ? 
             Math.floor((new Date() - this.handStartTime) / 1000) : 0;
         
+        // Revela seed do embaralhamento para verificação e publica o compromisso da próxima mão
+        const shuffleReveal = this.fairShuffle.reveal();
+        if (shuffleReveal) {
+            this.emit('shuffle_revealed', {
+                handNumber: this.handNumber,
+                ...shuffleReveal
+            });
+            this.emit('shuffle_commitment', {
+                handNumber: this.handNumber + 1,
+                ...this.fairShuffle.getPublicCommitment()
+            });
+        }
+        
         // Salva no histórico
         this.handHistory.push({
             handNumber: this.handNumber,
             duration: handDuration,
             potSize: this.potManager.totalAmount,
+            uncalledBets: this.potManager.lastDistribution?.uncalledBets || [],
             winners: this.playerManager.getPlayersInHand()
                 .filter(p => p.wonAmount > 0)
                 .map(p => ({
@@ -1046,9 +2758,40 @@ export class PokerGameManager {
                     amount: p.wonAmount
                 })),
             communityCards: this.getCommunityCards().map(c => c.display),
+            runItTwice: this.runItTwice?.agreed ? {
+                boards: this.runItTwice.boards.map(board => board.map(c => c.display)),
+                runs: this.runItTwice.results
+            } : null,
+            bombPot: this.bombPot ? {
+                amount: this.bombPot.amount,
+                trigger: this.bombPot.trigger,
+                boards: this.bombPot.doubleBoard ? this.bombPot.boards.map(board => board.map(c => c.display)) : null,
+                runs: this.bombPot.results
+            } : null,
+            shuffle: shuffleReveal,
+            rabbitHunt: null,
             timestamp: new Date().toISOString()
         });
         
+        // Rabbit hunt: mão encerrada antes do board completo (o baralho fica intacto até a próxima mão)
+        const communityCards = this.getCommunityCards();
+        const boardSize = BOARD_STREETS.reduce((sum, street) => sum + street.cards, 0);
+        if (this.settings.rabbitHunt && !this.variant.stud && !this.bombPot?.doubleBoard && communityCards.length < boardSize) {
+            this.rabbitHunt = {
+                handNumber: this.handNumber,
+                round: this.currentRound,
+                board: [...communityCards],
+                players: this.playerManager.players.filter(p => p.isInHand || p.isFolded).map(p => p.userId), // Inclui quem desistiu
+                revealed: null,
+                requestedBy: []
+            };
+            this.emit('rabbit_hunt_available', {
+                handNumber: this.handNumber,
+                round: this.currentRound,
+                players: this.rabbitHunt.players
+            });
+        }
+        
         // Atualiza estatísticas
         this.stats.totalHands++;
         this.stats.averagePot = (
@@ -1076,6 +2819,78 @@ export class PokerGameManager {
         }
     }
     
+    // Rabbit hunt: revela as cartas que viriam se a mão continuasse (entre mãos, apenas quem jogou a mão)
+    requestRabbitHunt(playerId) {
+        if (!this.settings.rabbitHunt) {
+            throw new Error('Rabbit hunt desativado nesta mesa');
+        }
+        if (!this.rabbitHunt || (this.state !== GAME_STATES.BETWEEN_HANDS && this.state !== GAME_STATES.FINISHED)) {
+            throw new Error('Nenhuma mão disponível para rabbit hunt');
+        }
+        if (!this.rabbitHunt.players.includes(playerId)) {
+            throw new Error('Apenas jogadores da mão podem pedir rabbit hunt');
+        }
+        
+        if (!this.rabbitHunt.revealed) {
+            this.rabbitHunt.revealed = this.peekRemainingBoard(this.rabbitHunt.board.length);
+        }
+        if (!this.rabbitHunt.requestedBy.includes(playerId)) {
+            this.rabbitHunt.requestedBy.push(playerId);
+        }
+        
+        const reveal = {
+            handNumber: this.rabbitHunt.handNumber,
+            requestedBy: playerId,
+            board: this.rabbitHunt.board.map(c => c.display),
+            streets: this.rabbitHunt.revealed.streets,
+            cards: this.rabbitHunt.revealed.cards.map(c => c.display),
+            burnedCards: this.rabbitHunt.revealed.burns.map(c => c.display)
+        };
+        
+        // Registra no histórico da mão
+        const historyEntry = this.handHistory.find(hand => hand.handNumber === this.rabbitHunt.handNumber);
+        if (historyEntry) {
+            historyEntry.rabbitHunt = {
+                streets: reveal.streets,
+                cards: reveal.cards,
+                burnedCards: reveal.burnedCards,
+                requestedBy: [...this.rabbitHunt.requestedBy]
+            };
+        }
+        
+        console.log(`🐇 Rabbit hunt (${this.playerManager.getPlayerById(playerId)?.nickname}): ${reveal.cards.join(' ')}`);
+        this.emit('rabbit_hunt', reveal);
+        
+        return reveal;
+    }
+    
+    // Cartas que completariam o board na ordem exata do baralho (queimando antes de cada rua), sem retirá-las
+    peekRemainingBoard(boardLength) {
+        const remaining = this.deck.peek(this.deck.cards.length);
+        const cards = [];
+        const burns = [];
+        const streets = [];
+        let position = 0;
+        let boardCards = 0;
+        
+        BOARD_STREETS.forEach(street => {
+            boardCards += street.cards;
+            if (street.cards === 0 || boardCards <= boardLength) return;
+            
+            burns.push(remaining[position++]);
+            const streetCards = remaining.slice(position, position + street.cards);
+            position += street.cards;
+            
+            cards.push(...streetCards);
+            streets.push({
+                round: street.round,
+                cards: streetCards.map(c => c.display)
+            });
+        });
+        
+        return { cards, burns, streets };
+    }
+    
     // Verifica se jogo deve continuar
     shouldContinueGame() {
         const activePlayers = this.playerManager.getActivePlayers();
@@ -1140,6 +2955,19 @@ export class PokerGameManager {
         console.log(`⏰ Timeout para ${playerId}`);
         
         try {
+            // Descarte automático da carta mais baixa; nas apostas, fold automático
+            if (this.state === GAME_STATES.DISCARD) {
+                const cards = this.playerManager.getPlayerById(playerId).cards;
+                const lowestCard = cards.reduce((lowest, card) => card.value < lowest.value ? card : lowest);
+                this.processPlayerAction(playerId, ACTION_TYPES.DISCARD, lowestCard.id);
+                
+                this.emit('action_timeout', {
+                    playerId: playerId,
+                    action: ACTION_TYPES.DISCARD
+                });
+                return;
+            }
+            
             // Fold automático
             this.processPlayerAction(playerId, ACTION_TYPES.FOLD);
             
@@ -1162,10 +2990,13 @@ export class PokerGameManager {
         
         this.isPaused = true;
         this.pauseStartTime = new Date();
+        this.stateBeforePause = this.state;
         this.state = GAME_STATES.PAUSED;
         
         // Para timers
         this.stopActionTimer();
+        clearTimeout(this.runItTwiceTimer);
+        this.runItTwiceTimer = null;
         
         console.log('⏸️ Jogo pausado');
         this.emit('game_paused', { timestamp: this.pauseStartTime });
@@ -1182,11 +3013,14 @@ export class PokerGameManager {
         this.isPaused = false;
         this.pauseStartTime = null;
         
-        // Retorna ao estado anterior
-        this.state = this.currentRound.toUpperCase();
+        // Retorna ao estado anterior (descarte e run it twice não são rodadas de aposta)
+        this.state = this.stateBeforePause || GAME_STATES[this.currentRound.toUpperCase()];
+        this.stateBeforePause = null;
         
-        // Reinicia timer se necessário
-        if (this.currentPlayerTurn) {
+        // Reinicia timers se necessário
+        if (this.state === GAME_STATES.RUN_IT_TWICE) {
+            this.startRunItTwiceTimer();
+        } else if (this.currentPlayerTurn) {
             this.startActionTimer();
         }
         
@@ -1388,6 +3222,11 @@ export class PokerGameManager {
             gameId: this.gameId,
             name: this.name,
             gameType: this.gameType,
+            gameVariant: this.gameVariant,
+            bettingLimit: this.bettingLimit,
+            bettingStructure: this.bettingStructure.getState(this),
+            forcedBets: this.forcedBets,
+            mixedGame: this.getMixedGameState(),
             state: this.state,
             currentRound: this.currentRound,
             handNumber: this.handNumber,
@@ -1396,6 +3235,12 @@ export class PokerGameManager {
             dealerPosition: this.dealerPosition,
             smallBlindPosition: this.smallBlindPosition,
             bigBlindPosition: this.bigBlindPosition,
+            buttonSeat: this.buttonSeat,
+            smallBlindSeat: this.smallBlindSeat,
+            bigBlindSeat: this.bigBlindSeat,
+            isButtonDead: this.buttonSeat !== null && !this.getButtonPlayer(),
+            isSmallBlindDead: this.smallBlindSeat !== null && this.smallBlindPosition === -1,
+            isHeadsUp: this.headsUpHand,
             currentPlayerTurn: this.currentPlayerTurn,
             
             // Apostas
@@ -1403,6 +3248,11 @@ export class PokerGameManager {
             smallBlind: this.smallBlind,
             bigBlind: this.bigBlind,
             ante: this.ante,
+            anteType: this.anteType,
+            bringIn: this.bringIn,
+            bringInPlayer: this.bringInPlayer,
+            straddlePlayer: this.straddlePlayer,
+            straddleAmount: this.straddleAmount,
             
             // Pote
             potTotal: this.potManager.totalAmount,
@@ -1417,6 +3267,36 @@ export class PokerGameManager {
             // Cartas comunitárias
             communityCards: this.getCommunityCards().map(c => c.display),
             
+            // Rabbit hunt disponível para a última mão
+            rabbitHuntAvailable: Boolean(this.rabbitHunt),
+            
+            // Run it twice (votação ou boards da mão atual)
+            runItTwice: this.runItTwice ? {
+                players: this.runItTwice.players,
+                votes: this.runItTwice.votes,
+                agreed: this.runItTwice.agreed,
+                boards: this.runItTwice.boards.map(board => board.map(c => c.display))
+            } : null,
+            
+            // Pineapple: descarte em andamento ou concluído na mão atual
+            discardPhase: this.discardPhase ? {
+                round: this.discardPhase.round,
+                pending: this.discardPhase.pending,
+                completed: this.discardPhase.completed
+            } : null,
+            
+            // Bomb pot (mão atual) e votação para a próxima
+            bombPot: this.bombPot ? {
+                amount: this.bombPot.amount,
+                trigger: this.bombPot.trigger,
+                doubleBoard: this.bombPot.doubleBoard,
+                boards: this.bombPot.doubleBoard ? this.bombPot.boards.map(board => board.map(c => c.display)) : null
+            } : null,
+            bombPotScheduled: this.bombPotScheduled,
+            
+            // Embaralhamento justo (compromisso da mão atual)
+            shuffleCommitment: this.fairShuffle?.getPublicCommitment() || null,
+            
             // Timer
             actionTimeRemaining: this.actionTimeRemaining,
             actionTime: this.actionTime,
@@ -1441,6 +3321,11 @@ export class PokerGameManager {
         this.state = GAME_STATES.LOBBY;
         this.handNumber = 0;
         this.dealerPosition = 0;
+        this.lastBigBlindPlayer = null;
+        this.headsUpHand = false;
+        this.buttonSeat = null;
+        this.smallBlindSeat = null;
+        this.bigBlindSeat = null;
         this.currentPlayerTurn = null;
         this.currentMaxBet = 0;
         this.lastAction = null;
@@ -1448,7 +3333,7 @@ export class PokerGameManager {
         
         // Reseta módulos
         if (this.deck) this.deck.reset();
-        if (this.playerManager) this.playerManager = new PlayerManager(this.maxPlayers);
+        if (this.playerManager) this.playerManager = new PlayerManager(this.maxPlayers, this.random);
         if (this.potManager) this.potManager.resetForNewHand();
         
         console.log('🔄 Estado do jogo resetado');
@@ -1462,6 +3347,10 @@ export class PokerGameManager {
             gameId: this.gameId,
             name: this.name,
             gameType: this.gameType,
+            gameVariant: this.variant.name,
+            bettingLimit: this.bettingStructure.name,
+            mixedGame: this.mixedGame ? this.mixedGame.name : null,
+            nextGame: this.getMixedGameState()?.nextGame || null,
             state: this.state,
             handNumber: this.handNumber,
             playerCount: this.playerManager.players.length,
@@ -1469,6 +3358,7 @@ export class PokerGameManager {
             smallBlind: this.smallBlind,
             bigBlind: this.bigBlind,
             ante: this.ante,
+            anteType: this.anteType,
             potTotal: this.potManager.totalAmount,
             currentPlayerTurn: this.currentPlayerTurn ? 
                 this.playerManager.getPlayerById(this.currentPlayerTurn)?.nickname : null,
@@ -1520,14 +3410,25 @@ export class PokerGameManager {
             gameId: this.gameId,
             name: this.name,
             gameType: this.gameType,
+            gameVariant: this.gameVariant,
+            forcedBets: this.forcedBets,
+            bettingLimit: this.bettingLimit,
+            smallBet: this.bettingStructure.smallBet || null,
+            bigBet: this.bettingStructure.bigBet || null,
+            maxRaises: this.bettingStructure.maxRaises ?? null,
+            mixedGame: this.mixedGame,
             maxPlayers: this.maxPlayers,
             minPlayers: this.minPlayers,
             startingStack: this.startingStack,
             smallBlind: this.smallBlind,
             bigBlind: this.bigBlind,
             ante: this.ante,
+            anteType: this.anteType,
+            bringIn: this.bringIn,
             actionTime: this.actionTime,
             isPrivate: this.isPrivate,
+            seed: this.seed,
+            randomState: this.random.getState ? this.random.getState() : null,
             
             // Estado atual
             state: this.state,
@@ -1536,16 +3437,27 @@ export class PokerGameManager {
             dealerPosition: this.dealerPosition,
             smallBlindPosition: this.smallBlindPosition,
             bigBlindPosition: this.bigBlindPosition,
+            lastBigBlindPlayer: this.lastBigBlindPlayer,
+            headsUpHand: this.headsUpHand,
+            buttonSeat: this.buttonSeat,
+            smallBlindSeat: this.smallBlindSeat,
+            bigBlindSeat: this.bigBlindSeat,
             currentPlayerTurn: this.currentPlayerTurn,
             currentMaxBet: this.currentMaxBet,
             lastRaiseAmount: this.lastRaiseAmount,
             lastAction: this.lastAction,
+            bringInPlayer: this.bringInPlayer,
+            straddlePlayer: this.straddlePlayer,
+            straddleAmount: this.straddleAmount,
+            bombPotScheduled: this.bombPotScheduled,
+            studBoardCards: this.studBoardCards.map(c => c.toJSON()),
             
             // Módulos
             deck: this.deck?.toJSON(),
             playerManager: this.playerManager?.toJSON(),
             potManager: this.potManager?.toJSON(),
             tournament: this.tournament?.toJSON(),
+            fairShuffle: this.fairShuffle?.getState(),
             
             // Controle
             handStartTime: this.handStartTime?.toISOString(),
@@ -1553,6 +3465,7 @@ export class PokerGameManager {
             actionTimeRemaining: this.actionTimeRemaining,
             isPaused: this.isPaused,
             pauseStartTime: this.pauseStartTime?.toISOString(),
+            stateBeforePause: this.stateBeforePause,
             totalPauseTime: this.totalPauseTime,
             
             // Estatísticas
@@ -1578,14 +3491,24 @@ export class PokerGameManager {
             gameId: jsonData.gameId,
             name: jsonData.name,
             gameType: jsonData.gameType,
+            gameVariant: jsonData.gameVariant,
+            forcedBets: jsonData.forcedBets,
+            bettingLimit: jsonData.bettingLimit,
+            smallBet: jsonData.smallBet,
+            bigBet: jsonData.bigBet,
+            maxRaises: jsonData.maxRaises,
+            mixedGame: jsonData.mixedGame || null,
             maxPlayers: jsonData.maxPlayers,
             minPlayers: jsonData.minPlayers,
             startingStack: jsonData.startingStack,
             smallBlind: jsonData.smallBlind,
             bigBlind: jsonData.bigBlind,
             ante: jsonData.ante,
+            anteType: jsonData.anteType,
+            bringIn: jsonData.bringIn,
             actionTime: jsonData.actionTime,
-            isPrivate: jsonData.isPrivate
+            isPrivate: jsonData.isPrivate,
+            seed: jsonData.seed
         };
         
         const manager = new PokerGameManager(config);
@@ -1597,18 +3520,40 @@ export class PokerGameManager {
         manager.dealerPosition = jsonData.dealerPosition;
         manager.smallBlindPosition = jsonData.smallBlindPosition;
         manager.bigBlindPosition = jsonData.bigBlindPosition;
+        manager.lastBigBlindPlayer = jsonData.lastBigBlindPlayer || null;
+        manager.headsUpHand = jsonData.headsUpHand || false;
+        manager.buttonSeat = jsonData.buttonSeat ?? null;
+        manager.smallBlindSeat = jsonData.smallBlindSeat ?? null;
+        manager.bigBlindSeat = jsonData.bigBlindSeat ?? null;
         manager.currentPlayerTurn = jsonData.currentPlayerTurn;
         manager.currentMaxBet = jsonData.currentMaxBet;
         manager.lastRaiseAmount = jsonData.lastRaiseAmount;
         manager.lastAction = jsonData.lastAction;
+        manager.straddlePlayer = jsonData.straddlePlayer || null;
+        manager.straddleAmount = jsonData.straddleAmount || 0;
+        manager.bombPotScheduled = jsonData.bombPotScheduled || false;
+        
+        // Jogo misto: retoma a rotação no jogo em que parou
+        if (manager.mixedGame) {
+            manager.mixedGame.currentIndex = jsonData.mixedGame.currentIndex;
+            manager.mixedGame.handsInCurrentGame = jsonData.mixedGame.handsInCurrentGame;
+            manager.mixedGame.orbitSize = jsonData.mixedGame.orbitSize;
+            manager.applyMixedGame();
+        }
+        manager.bringInPlayer = jsonData.bringInPlayer || null;
+        manager.studBoardCards = (jsonData.studBoardCards || []).map(cardData => {
+            const card = new PokerCard(cardData.suit, cardData.rank);
+            card.faceUp = cardData.faceUp;
+            return card;
+        });
         
         // Restaura módulos
         if (jsonData.deck) {
-            manager.deck = PokerDeck.fromJSON(jsonData.deck);
+            manager.deck = PokerDeck.fromJSON(jsonData.deck, manager.random);
         }
         
         if (jsonData.playerManager) {
-            manager.playerManager = PlayerManager.fromJSON(jsonData.playerManager, PokerCard);
+            manager.playerManager = PlayerManager.fromJSON(jsonData.playerManager, PokerCard, manager.random);
         }
         
         if (jsonData.potManager) {
@@ -1616,7 +3561,15 @@ export class PokerGameManager {
         }
         
         if (jsonData.tournament) {
-            manager.tournament = PokerTournament.fromJSON(jsonData.tournament);
+            manager.tournament = PokerTournament.fromJSON(jsonData.tournament, manager.random);
+        }
+        
+        // Continua a sequência de seeds e o compromisso já publicado (sem repetir baralhos)
+        manager.fairShuffle = manager.createFairShuffle(jsonData.fairShuffle || null);
+        
+        // Retoma o gerador do jogo onde parou (a reconstrução dos módulos acima também o consome)
+        if (jsonData.randomState && manager.random.setState) {
+            manager.random.setState(jsonData.randomState);
         }
         
         // Restaura controle
@@ -1631,6 +3584,7 @@ export class PokerGameManager {
         if (jsonData.pauseStartTime) {
             manager.pauseStartTime = new Date(jsonData.pauseStartTime);
         }
+        manager.stateBeforePause = jsonData.stateBeforePause || null;
         manager.totalPauseTime = jsonData.totalPauseTime;
         
         // Restaura dados
@@ -1654,6 +3608,52 @@ export function createPokerGame(config = {}) {
     return new PokerGameManager(config);
 }
 
+// Obtém definição da variante pelo id
+export function getGameVariant(variantId) {
+    const variant = Object.values(GAME_VARIANTS).find(v => v.id === variantId);
+    if (!variant) {
+        throw new Error(`Variante de jogo inválida: ${variantId}`);
+    }
+    return variant;
+}
+
+// Normaliza a rotação do jogo misto (id de MIXED_GAMES ou { games, rotateBy, handsPerGame });
+// cada jogo herda os valores da mesa (blinds, ante, bring-in, bets) que não sobrescrever
+export function createMixedGameRotation(mixedGameConfig, tableStakes = {}) {
+    const preset = typeof mixedGameConfig === 'string'
+        ? Object.values(MIXED_GAMES).find(game => game.id === mixedGameConfig)
+        : mixedGameConfig;
+    
+    if (!preset) {
+        throw new Error(`Jogo misto inválido: ${mixedGameConfig}`);
+    }
+    if (!Array.isArray(preset.games) || preset.games.length < 2) {
+        throw new Error('Jogo misto deve ter pelo menos 2 jogos na rotação');
+    }
+    
+    const rotateBy = preset.rotateBy || MIXED_GAME_ROTATION.HANDS;
+    if (!Object.values(MIXED_GAME_ROTATION).includes(rotateBy)) {
+        throw new Error(`Rotação de jogo misto inválida: ${rotateBy}`);
+    }
+    
+    const games = preset.games.map(game => {
+        const gameConfig = typeof game === 'string' ? { gameVariant: game } : game;
+        getGameVariant(gameConfig.gameVariant); // Valida o id
+        return { ...tableStakes, ...gameConfig };
+    });
+    
+    return {
+        id: preset.id || 'custom',
+        name: preset.name || games.map(game => getGameVariant(game.gameVariant).name).join(' / '),
+        rotateBy: rotateBy,
+        handsPerGame: preset.handsPerGame || DEFAULT_HANDS_PER_GAME,
+        games: games,
+        currentIndex: 0,
+        handsInCurrentGame: 0,
+        orbitSize: null     // Jogadores ativos no início da órbita atual
+    };
+}
+
 // Valida configuração do jogo
 export function validateGameConfig(config) {
     const errors = [];
@@ -1682,14 +3682,38 @@ export function validateGameConfig(config) {
         errors.push('Tempo de ação deve estar entre 10 e 120 segundos');
     }
     
+    if (config.gameVariant && !Object.values(GAME_VARIANTS).some(v => v.id === config.gameVariant)) {
+        errors.push(`Variante de jogo inválida: ${config.gameVariant}`);
+    }
+    
+    if (config.bettingLimit && !Object.values(BETTING_LIMITS).includes(config.bettingLimit)) {
+        errors.push(`Estrutura de apostas inválida: ${config.bettingLimit}`);
+    }
+    
+    if (config.forcedBets && !Object.values(FORCED_BET_STRUCTURES).includes(config.forcedBets)) {
+        errors.push(`Estrutura de apostas obrigatórias inválida: ${config.forcedBets}`);
+    }
+    
+    if (config.anteType && !Object.values(ANTE_TYPES).includes(config.anteType)) {
+        errors.push(`Tipo de ante inválido: ${config.anteType}`);
+    }
+    
+    if (config.mixedGame) {
+        try {
+            createMixedGameRotation(config.mixedGame);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+    
     return {
         valid: errors.length === 0,
         errors: errors
     };
 }
 
-// Simula jogo rápido para testes
-export async function simulateQuickGame() {
+// Simula jogo rápido para testes (com seed, a simulação é reproduzível)
+export async function simulateQuickGame(seed = null) {
     console.log('🎮 Simulando jogo rápido...');
     
     const game = createPokerGame({
@@ -1698,7 +3722,8 @@ export async function simulateQuickGame() {
         minPlayers: 2,
         startingStack: 1000,
         smallBlind: 10,
-        bigBlind: 20
+        bigBlind: 20,
+        seed: seed
     });
     
     await game.initialize();
@@ -1719,12 +3744,23 @@ export default {
     // Constantes
     GAME_STATES,
     ACTION_TYPES,
+    BET_PRESETS,
+    POSTING_OPTIONS,
+    FORCED_BET_STRUCTURES,
+    GAME_VARIANTS,
+    BOARD_STREETS,
+    STUD_STREETS,
+    STUD_SUIT_ORDER,
+    MIXED_GAME_ROTATION,
+    MIXED_GAMES,
     
     // Classe principal
     PokerGameManager,
     
     // Funções
     createPokerGame,
+    getGameVariant,
+    createMixedGameRotation,
     validateGameConfig,
     simulateQuickGame
 };
\ No newline at end of file
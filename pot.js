@@ -28,6 +28,21 @@ class PlayerContribution {
         return this.amount;
     }
     
+    // Retira fichas da contribuição, das rodadas mais recentes para as mais antigas
+    removeContribution(amount) {
+        const removed = Math.min(amount, this.amount);
+        let remaining = removed;
+        
+        Object.keys(this.contributionsByRound).reverse().forEach(round => {
+            const fromRound = Math.min(remaining, this.contributionsByRound[round]);
+            this.contributionsByRound[round] -= fromRound;
+            remaining -= fromRound;
+        });
+        
+        this.amount -= removed;
+        return removed;
+    }
+    
     reset() {
         this.amount = 0;
         this.isEligible = true;
@@ -56,9 +71,12 @@ export class Pot {
         this.id = id; // 'main' ou 'side-X'
         this.level = level; // 0 = main, 1+ = side pots
         this.amount = 0;
+        this.deadMoney = 0; // Fichas mortas (BB ante, ante do botão): entram no pote sem nível de contribuição
         this.playerContributions = new Map(); // playerId -> PlayerContribution
         this.eligiblePlayers = new Set(); // Jogadores elegíveis para ganhar este pote
         this.winners = []; // Jogadores que ganharam este pote
+        this.hiLoBreakdown = null; // Divisão high/low (Omaha Hi-Lo)
+        this.runBreakdown = null; // Divisão por corrida do board (run it twice)
         this.isDistributed = false;
         this.isLocked = false; // Se já está bloqueado para mais apostas
         this.createdAt = new Date();
@@ -90,6 +108,37 @@ export class Pot {
         return newAmount;
     }
     
+    // Adiciona fichas mortas: aumentam o pote, mas não contam para os níveis de side pot
+    addDeadMoney(playerId, amount) {
+        if (this.isLocked) {
+            console.warn(`⚠️ Pot ${this.id} está bloqueado, não pode receber mais apostas`);
+            return 0;
+        }
+        
+        this.amount += amount;
+        this.deadMoney += amount;
+        
+        console.log(`💀 Pot ${this.id}: ${playerId} adicionou ${amount} de fichas mortas (total: ${this.amount})`);
+        return amount;
+    }
+    
+    // Define a parte de um jogador neste pote (montagem dos potes pelo PotManager; zero é ignorado)
+    setPlayerContribution(playerId, amount) {
+        const previous = this.getPlayerContribution(playerId);
+        if (amount <= 0 && previous === 0) return 0;
+        
+        let contribution = this.playerContributions.get(playerId);
+        if (!contribution) {
+            contribution = new PlayerContribution(playerId);
+            this.playerContributions.set(playerId, contribution);
+        }
+        
+        contribution.amount = amount;
+        contribution.isEligible = this.eligiblePlayers.has(playerId);
+        this.amount += amount - previous;
+        return amount;
+    }
+    
     // Remove jogador da elegibilidade (fold ou all-in menor)
     removeEligiblePlayer(playerId) {
         this.eligiblePlayers.delete(playerId);
@@ -124,8 +173,8 @@ export class Pot {
         return this.eligiblePlayers.size;
     }
     
-    // Distribui pote para vencedores
-    distributeToWinners(winnerPlayers, handEvaluations = {}) {
+    // Distribui pote para vencedores (com lowWinners, metade vai para o high e metade para o low)
+    distributeToWinners(winnerPlayers, handEvaluations = {}, lowWinners = []) {
         if (this.isDistributed) {
             console.warn(`⚠️ Pot ${this.id} já foi distribuído`);
             return [];
@@ -141,12 +190,16 @@ export class Pot {
             return [];
         }
         
-        this.winners = [...winnerPlayers];
+        const isHiLo = lowWinners.length > 0;
+        
+        this.winners = isHiLo ? [...new Set([...winnerPlayers, ...lowWinners])] : [...winnerPlayers];
         this.isDistributed = true;
         this.isLocked = true;
         
         // Calcula quanto cada vencedor recebe
-        const distribution = this.calculateDistribution(winnerPlayers, handEvaluations);
+        const distribution = isHiLo
+            ? this.calculateHiLoDistribution(winnerPlayers, lowWinners, handEvaluations)
+            : this.calculateDistribution(winnerPlayers, handEvaluations);
         
         // Atualiza contribuições dos vencedores
         distribution.forEach(({ playerId, amount }) => {
@@ -157,14 +210,93 @@ export class Pot {
             }
         });
         
-        console.log(`🏆 Pot ${this.id} distribuído: ${distribution.map(d => `${d.playerId}: ${d.amount}`).join(', ')}`);
+        if (isHiLo) {
+            console.log(`🏆 Pot ${this.id} distribuído: high ${this.hiLoBreakdown.high.amount} (${winnerPlayers.join(', ')}), low ${this.hiLoBreakdown.low.amount} (${lowWinners.join(', ')})`);
+        } else {
+            console.log(`🏆 Pot ${this.id} distribuído: ${distribution.map(d => `${d.playerId}: ${d.amount}`).join(', ')}`);
+        }
         return distribution;
     }
     
-    // Calcula distribuição do pote
-    calculateDistribution(winnerPlayers, handEvaluations) {
+    // Run it twice: divide o pote entre as corridas (ficha ímpar para a primeira) e distribui cada parte
+    // aos vencedores daquela corrida (runResults: [{ highWinners, lowWinners, handEvaluations }])
+    distributeRunsToWinners(runResults) {
+        if (this.isDistributed) {
+            console.warn(`⚠️ Pot ${this.id} já foi distribuído`);
+            return [];
+        }
+        
+        if (this.amount <= 0) {
+            console.warn(`⚠️ Pot ${this.id} está vazio`);
+            return [];
+        }
+        
+        const runCount = runResults.length;
+        const baseAmount = Math.floor(this.amount / runCount);
+        const remainder = this.amount % runCount;
+        
+        this.runBreakdown = runResults.map(({ highWinners, lowWinners = [], handEvaluations = {} }, index) => {
+            const runAmount = baseAmount + (index < remainder ? 1 : 0);
+            const isHiLo = lowWinners.length > 0;
+            const shares = isHiLo
+                ? this.calculateHiLoDistribution(highWinners, lowWinners, handEvaluations, runAmount)
+                : this.calculateDistribution(highWinners, handEvaluations, runAmount);
+            
+            return {
+                run: index + 1,
+                amount: runAmount,
+                winners: shares.map(share => share.playerId),
+                shares: shares,
+                high: isHiLo ? this.hiLoBreakdown.high : null,
+                low: isHiLo ? this.hiLoBreakdown.low : null
+            };
+        });
+        this.hiLoBreakdown = null;
+        
+        // Soma o que cada jogador ganhou em todas as corridas
+        const totals = new Map();
+        this.runBreakdown.forEach(({ run, shares }) => {
+            shares.forEach(({ playerId, amount, highAmount, lowAmount }) => {
+                const total = totals.get(playerId) || {
+                    playerId: playerId,
+                    amount: 0,
+                    highAmount: 0,
+                    lowAmount: 0,
+                    runAmounts: new Array(runCount).fill(0)
+                };
+                total.amount += amount;
+                total.highAmount += highAmount !== undefined ? highAmount : amount;
+                total.lowAmount += lowAmount || 0;
+                total.runAmounts[run - 1] += amount;
+                totals.set(playerId, total);
+            });
+        });
+        
+        const distribution = Array.from(totals.values()).map(total => ({
+            ...total,
+            percentage: (total.amount / this.amount) * 100,
+            isSoleWinner: totals.size === 1
+        }));
+        
+        this.winners = distribution.map(d => d.playerId);
+        this.isDistributed = true;
+        this.isLocked = true;
+        
+        distribution.forEach(({ playerId, amount }) => {
+            const contribution = this.playerContributions.get(playerId);
+            if (contribution) {
+                contribution.hasWon = true;
+                contribution.wonAmount = amount;
+            }
+        });
+        
+        console.log(`🏆 Pot ${this.id} distribuído em ${runCount} corridas: ${this.runBreakdown.map(r => `${r.amount} (${r.winners.join(', ')})`).join(' | ')}`);
+        return distribution;
+    }
+    
+    // Calcula distribuição do pote (potAmount: parte do pote, no run it twice)
+    calculateDistribution(winnerPlayers, handEvaluations, potAmount = this.amount) {
         const distribution = [];
-        const potAmount = this.amount;
         
         if (winnerPlayers.length === 1) {
             // Vencedor único leva tudo
@@ -175,7 +307,7 @@ export class Pot {
                 isSoleWinner: true
             });
         } else {
-            // Múltiplos vencedores (split pot)
+            // Múltiplos vencedores (split pot): fichas ímpares para os primeiros da lista (a partir da esquerda do botão)
             const winnersCount = winnerPlayers.length;
             const baseAmount = Math.floor(potAmount / winnersCount);
             const remainder = potAmount % winnersCount;
@@ -197,12 +329,47 @@ export class Pot {
         return distribution;
     }
     
+    // Calcula distribuição hi/lo: ficha ímpar da divisão fica com o high, cada metade dividida entre seus vencedores
+    calculateHiLoDistribution(highWinners, lowWinners, handEvaluations, potAmount = this.amount) {
+        const lowAmount = Math.floor(potAmount / 2);
+        const highAmount = potAmount - lowAmount;
+        const highShares = distributePot(highAmount, highWinners);
+        const lowShares = distributePot(lowAmount, lowWinners);
+        
+        this.hiLoBreakdown = {
+            high: { amount: highAmount, winners: [...highWinners], shares: highShares },
+            low: { amount: lowAmount, winners: [...lowWinners], shares: lowShares }
+        };
+        
+        // Um jogador pode ganhar as duas metades (scoop) ou partes delas (quartering)
+        const players = [...new Set([...highWinners, ...lowWinners])];
+        
+        return players.map(playerId => {
+            const highShare = highShares.find(share => share.playerId === playerId)?.amount || 0;
+            const lowShare = lowShares.find(share => share.playerId === playerId)?.amount || 0;
+            const amount = highShare + lowShare;
+            
+            return {
+                playerId: playerId,
+                amount: amount,
+                highAmount: highShare,
+                lowAmount: lowShare,
+                percentage: (amount / potAmount) * 100,
+                isSoleWinner: players.length === 1,
+                handStrength: handEvaluations[playerId] || null
+            };
+        });
+    }
+    
     // Reseta o pote (para nova mão)
     reset() {
         this.amount = 0;
+        this.deadMoney = 0;
         this.playerContributions.clear();
         this.eligiblePlayers.clear();
         this.winners = [];
+        this.hiLoBreakdown = null;
+        this.runBreakdown = null;
         this.isDistributed = false;
         this.isLocked = false;
         this.createdAt = new Date();
@@ -219,9 +386,12 @@ export class Pot {
             id: this.id,
             level: this.level,
             amount: this.amount,
+            deadMoney: this.deadMoney,
             contributions: contributions,
             eligiblePlayers: Array.from(this.eligiblePlayers),
             winners: this.winners,
+            hiLoBreakdown: this.hiLoBreakdown,
+            runBreakdown: this.runBreakdown,
             isDistributed: this.isDistributed,
             isLocked: this.isLocked,
             createdAt: this.createdAt.toISOString(),
@@ -270,180 +440,178 @@ export class PotManager {
         this.currentRound = 'preflop';
         this.isShowdown = false;
         this.lastDistribution = null;
+        this.oddChipOrder = []; // Jogadores a partir da esquerda do botão: ficha ímpar do split vai para o primeiro
+        this.contributions = new Map(); // playerId -> PlayerContribution (total da mão, base para montar os potes)
+        this.foldedPlayers = new Set(); // Quem desistiu: fichas ficam nos potes, mas não disputa nenhum
+        this.deadMoney = 0; // Fichas mortas da mão (sempre no pote principal)
     }
     
     // ================ MÉTODOS DE APOSTA ================
     
-    // Adiciona aposta de jogador
-    addBet(playerId, amount, playerAllInAmount = Infinity) {
+    // Adiciona aposta de jogador (os potes são reconstruídos a partir das contribuições totais da mão)
+    addBet(playerId, amount) {
         if (amount <= 0) return { added: 0, pots: [] };
         
-        let remainingAmount = amount;
-        const potsAffected = [];
-        
-        // Primeiro, adiciona ao pote principal
-        const mainPotSpace = this.getPotSpaceForPlayer(playerId, this.mainPot, playerAllInAmount);
-        const amountToMain = Math.min(remainingAmount, mainPotSpace);
-        
-        if (amountToMain > 0) {
-            this.mainPot.addPlayerContribution(playerId, amountToMain, this.currentRound);
-            remainingAmount -= amountToMain;
-            potsAffected.push({ potId: 'main', amount: amountToMain });
-        }
-        
-        // Depois, distribui para side pots existentes
-        for (const sidePot of this.sidePots) {
-            if (remainingAmount <= 0) break;
-            
-            const potSpace = this.getPotSpaceForPlayer(playerId, sidePot, playerAllInAmount);
-            const amountToSide = Math.min(remainingAmount, potSpace);
-            
-            if (amountToSide > 0) {
-                sidePot.addPlayerContribution(playerId, amountToSide, this.currentRound);
-                remainingAmount -= amountToSide;
-                potsAffected.push({ potId: sidePot.id, amount: amountToSide });
-            }
+        let contribution = this.contributions.get(playerId);
+        if (!contribution) {
+            contribution = new PlayerContribution(playerId);
+            this.contributions.set(playerId, contribution);
         }
+        contribution.addContribution(amount, this.currentRound);
         
-        // Se ainda sobrou dinheiro, cria novos side pots
-        while (remainingAmount > 0) {
-            const newSidePot = this.createNewSidePot();
-            const potSpace = this.getPotSpaceForPlayer(playerId, newSidePot, playerAllInAmount);
-            const amountToNewPot = Math.min(remainingAmount, potSpace);
-            
-            if (amountToNewPot > 0) {
-                newSidePot.addPlayerContribution(playerId, amountToNewPot, this.currentRound);
-                remainingAmount -= amountToNewPot;
-                potsAffected.push({ potId: newSidePot.id, amount: amountToNewPot });
-                this.sidePots.push(newSidePot);
-            }
-        }
+        this.rebuildSidePots();
         
-        this.updateTotalAmount();
+        const potsAffected = this.getAllPots()
+            .filter(pot => pot.getPlayerContribution(playerId) > 0)
+            .map(pot => ({ potId: pot.id, amount: pot.getPlayerContribution(playerId) }));
         
         console.log(`🎰 ${playerId} apostou ${amount}: ${potsAffected.map(p => `${p.potId}(${p.amount})`).join(', ')}`);
         return {
-            added: amount - remainingAmount,
+            added: amount,
             pots: potsAffected,
             totalAmount: this.totalAmount
         };
     }
     
-    // Calcula espaço disponível no pote para um jogador
-    getPotSpaceForPlayer(playerId, pot, playerAllInAmount) {
-        if (playerAllInAmount <= 0) return 0;
+    // Ante pago por um jogador pela mesa (BB ante, ante do botão): fichas mortas no pote principal,
+    // que todo jogador da mão disputa, mesmo quem estiver all-in com menos
+    addDeadMoney(playerId, amount) {
+        if (amount <= 0) return { added: 0, pots: [] };
         
-        // Obtém a maior contribuição neste pote
-        let maxContribution = 0;
-        pot.playerContributions.forEach(contrib => {
-            if (contrib.amount > maxContribution) {
-                maxContribution = contrib.amount;
-            }
+        this.deadMoney += amount;
+        this.rebuildSidePots();
+        
+        console.log(`💀 ${playerId} adicionou ${amount} de fichas mortas ao pot main`);
+        return {
+            added: amount,
+            pots: [{ potId: 'main', amount: amount }],
+            totalAmount: this.totalAmount
+        };
+    }
+    
+    // ================ CONSTRUÇÃO DOS POTES ================
+    
+    // Reconstrói main pot e side pots pela contribuição total de cada jogador e por quem desistiu:
+    // os níveis vêm de calculateSidePots sobre quem segue na mão, e as fichas de quem desistiu
+    // entram em cada nível até onde cobrem (elegível para um pote só quem não desistiu e cobriu o nível)
+    rebuildSidePots() {
+        const contributions = Array.from(this.contributions.values()).filter(c => c.amount > 0);
+        const bets = {};
+        contributions.forEach(c => {
+            bets[c.playerId] = c.amount;
         });
         
-        // Calcula quanto o jogador já contribuiu
-        const currentContribution = pot.getPlayerContribution(playerId) || 0;
+        const livePlayers = contributions
+            .filter(c => !this.foldedPlayers.has(c.playerId))
+            .map(c => ({ userId: c.playerId }));
+        const levels = calculateSidePots(livePlayers, bets);
         
-        // Calcula quanto pode ainda contribuir
-        const spaceInPot = maxContribution - currentContribution;
-        const spaceByAllIn = playerAllInAmount - currentContribution;
+        const pots = [];
+        let previousLevel = 0;
         
-        // Retorna o menor entre: espaço no pote e limite do all-in
-        return Math.min(spaceInPot, spaceByAllIn);
-    }
-    
-    // Cria novo side pot
-    createNewSidePot() {
-        const sidePotNumber = this.sidePots.length + 1;
-        const sidePot = new Pot(`side-${sidePotNumber}`, sidePotNumber);
+        levels.forEach((level, index) => {
+            const pot = new Pot(index === 0 ? 'main' : `side-${index}`, index);
+            const cap = previousLevel + level.levelAmount;
+            
+            level.eligiblePlayers.forEach(playerId => pot.eligiblePlayers.add(playerId));
+            contributions.forEach(c => {
+                pot.setPlayerContribution(c.playerId, Math.min(c.amount, cap) - previousLevel);
+            });
+            
+            pots.push(pot);
+            previousLevel = cap;
+        });
         
-        // Copia jogadores elegíveis do pote anterior
-        let previousPot;
-        if (sidePotNumber === 1) {
-            previousPot = this.mainPot;
-        } else {
-            previousPot = this.sidePots[sidePotNumber - 2];
+        if (pots.length === 0) {
+            pots.push(new Pot('main', 0));
         }
         
-        // Todos que contribuíram para o pote anterior são elegíveis para este
-        previousPot.playerContributions.forEach((contrib, playerId) => {
-            if (contrib.amount > 0) {
-                sidePot.eligiblePlayers.add(playerId);
+        // Fichas de quem desistiu acima do maior nível em disputa ficam no último pote
+        const lastPot = pots[pots.length - 1];
+        contributions.forEach(c => {
+            if (c.amount > previousLevel) {
+                lastPot.setPlayerContribution(c.playerId, lastPot.getPlayerContribution(c.playerId) + c.amount - previousLevel);
             }
         });
         
-        console.log(`🆕 Criado side pot ${sidePot.id}`);
-        return sidePot;
+        // Fichas mortas ficam sempre no pote principal
+        const [mainPot, ...sidePots] = pots;
+        mainPot.deadMoney = this.deadMoney;
+        mainPot.amount += this.deadMoney;
+        
+        this.mainPot = mainPot;
+        this.sidePots = sidePots;
+        this.updateTotalAmount();
+        this.assertPotInvariant();
+        
+        return this.getAllPots();
+    }
+    
+    // Invariante: a soma dos potes é igual à soma das contribuições (mais as fichas mortas)
+    assertPotInvariant() {
+        const potsTotal = this.getAllPots().reduce((sum, pot) => sum + pot.amount, 0);
+        const contributed = Array.from(this.contributions.values())
+            .reduce((sum, c) => sum + c.amount, this.deadMoney);
+        
+        if (potsTotal !== contributed) {
+            throw new Error(`Potes somam ${potsTotal}, mas as contribuições somam ${contributed}`);
+        }
+        return true;
+    }
+    
+    // Devolve a aposta não paga: o que o maior contribuinte pôs acima do segundo maior
+    // (todos desistiram diante de um bet, ou all-in pago só em parte), antes de distribuir os potes
+    returnUncalledBets() {
+        const [top, second] = Array.from(this.contributions.values()).sort((a, b) => b.amount - a.amount);
+        if (!top) return [];
+        
+        const uncalledAmount = top.amount - (second ? second.amount : 0);
+        if (uncalledAmount <= 0) return [];
+        
+        top.removeContribution(uncalledAmount);
+        this.rebuildSidePots();
+        
+        console.log(`↩️ Aposta não paga: ${uncalledAmount} devolvidos a ${top.playerId}`);
+        return [{ playerId: top.playerId, amount: uncalledAmount }];
+    }
+    
+    // Ordem das cadeiras a partir da esquerda do botão (definida pelo jogo antes de distribuir)
+    setOddChipOrder(playerIds) {
+        this.oddChipOrder = [...playerIds];
+    }
+    
+    // Ordena vencedores pela ordem da ficha ímpar (jogadores fora da ordem ficam por último)
+    sortByOddChipOrder(playerIds) {
+        const indexOf = (playerId) => {
+            const index = this.oddChipOrder.indexOf(playerId);
+            return index === -1 ? Infinity : index;
+        };
+        return [...playerIds].sort((a, b) => indexOf(a) - indexOf(b));
     }
     
     // ================ MÉTODOS DE GERENCIAMENTO DE JOGADORES ================
     
-    // Jogador folda - remove de todos os potes
+    // Jogador folda - deixa de ser elegível para todos os potes (suas fichas continuam neles)
     playerFolds(playerId) {
-        this.mainPot.removeEligiblePlayer(playerId);
-        this.sidePots.forEach(pot => {
-            pot.removeEligiblePlayer(playerId);
-        });
+        this.foldedPlayers.add(playerId);
+        this.rebuildSidePots();
         
         console.log(`🎴 ${playerId} foldou - removido de todos os potes`);
         return true;
     }
     
-    // Jogador vai all-in - configura limites
+    // Jogador vai all-in: a contribuição total dele passa a ser um nível de side pot
     playerAllIn(playerId, allInAmount) {
         console.log(`💎 ${playerId} all-in com ${allInAmount}`);
         
-        // Recalcula contribuições para garantir que não exceda all-in amount
-        this.recalculateForAllIn(playerId, allInAmount);
+        this.rebuildSidePots();
         return true;
     }
     
-    // Recalcula distribuição após all-in
-    recalculateForAllIn(playerId, allInAmount) {
-        let totalContributed = 0;
-        
-        // Calcula quanto já contribuiu no main pot
-        const mainContribution = this.mainPot.getPlayerContribution(playerId);
-        totalContributed += mainContribution;
-        
-        // Verifica e ajusta side pots
-        for (const sidePot of this.sidePots) {
-            const contribution = sidePot.getPlayerContribution(playerId);
-            
-            if (totalContributed + contribution > allInAmount) {
-                // Precisa redistribuir o excesso
-                const excess = (totalContributed + contribution) - allInAmount;
-                
-                // Remove excesso deste side pot
-                // Na prática, criamos um novo side pot com o excesso
-                this.handleExcessContribution(sidePot, playerId, excess);
-            }
-            
-            totalContributed += contribution;
-        }
-        
-        this.updateTotalAmount();
-    }
-    
-    // Trata excesso de contribuição (quando all-in é menor que já apostado)
-    handleExcessContribution(pot, playerId, excessAmount) {
-        if (excessAmount <= 0) return;
-        
-        // Cria um novo side pot para o excesso
-        const newSidePot = this.createNewSidePot();
-        
-        // Move o excesso para o novo pot
-        // Nota: Esta é uma simplificação - na prática pode ser mais complexo
-        console.log(`🔄 Movendo excesso de ${excessAmount} de ${playerId} para novo side pot`);
-        
-        // Aqui precisaríamos ajustar as contribuições
-        // Implementação completa exigiria mais lógica
-    }
-    
     // ================ MÉTODOS DE DISTRIBUIÇÃO ================
     
-    // Distribui todos os potes
-    distributeAllPots(winningPlayersByStrength, handEvaluations = {}) {
+    // Distribui todos os potes (lowEvaluations: lows qualificados por jogador no Hi-Lo)
+    distributeAllPots(winningPlayersByStrength, handEvaluations = {}, lowEvaluations = null) {
         if (this.isShowdown) {
             console.warn('⚠️ Showdown já realizado');
             return this.lastDistribution;
@@ -454,7 +622,12 @@ export class PotManager {
             timestamp: new Date().toISOString(),
             pots: [],
             totalDistributed: 0,
-            winners: {}
+            winners: {},
+            uncalledBets: this.returnUncalledBets(), // Devolvidas ao apostador, não contam como prêmio
+            oddChipOrder: [...this.oddChipOrder],
+            isHiLo: lowEvaluations !== null,
+            high: {}, // playerId -> total ganho com high
+            low: {}   // playerId -> total ganho com low
         };
         
         // Ordena potes por nível (main primeiro, depois side pots)
@@ -464,33 +637,42 @@ export class PotManager {
         for (const pot of allPots) {
             if (pot.amount <= 0) continue;
             
-            // Filtra vencedores que são elegíveis para este pote
-            const eligibleWinners = winningPlayersByStrength.filter(playerId => 
-                pot.isPlayerEligible(playerId)
-            );
+            // Vencedores do high elegíveis para este pote (na ordem da ficha ímpar)
+            const eligibleWinners = this.sortByOddChipOrder(this.getPotHighWinners(pot, winningPlayersByStrength, handEvaluations));
             
             if (eligibleWinners.length === 0) {
                 console.warn(`⚠️ Nenhum vencedor elegível para pot ${pot.id}`);
                 continue;
             }
             
+            // Low qualificado (Hi-Lo): sem low, o high leva o pote inteiro
+            const lowWinners = lowEvaluations ? this.sortByOddChipOrder(this.getPotLowWinners(pot, lowEvaluations)) : [];
+            
             // Distribui o pote
-            const potDistribution = pot.distributeToWinners(eligibleWinners, handEvaluations);
+            const potDistribution = pot.distributeToWinners(eligibleWinners, handEvaluations, lowWinners);
             
             // Atualiza distribuição geral
-            potDistribution.forEach(({ playerId, amount }) => {
+            potDistribution.forEach(({ playerId, amount, highAmount, lowAmount }) => {
                 if (!distribution.winners[playerId]) {
                     distribution.winners[playerId] = 0;
                 }
                 distribution.winners[playerId] += amount;
                 distribution.totalDistributed += amount;
+                
+                if (distribution.isHiLo) {
+                    const high = highAmount !== undefined ? highAmount : amount;
+                    distribution.high[playerId] = (distribution.high[playerId] || 0) + high;
+                    distribution.low[playerId] = (distribution.low[playerId] || 0) + (lowAmount || 0);
+                }
             });
             
             distribution.pots.push({
                 potId: pot.id,
                 amount: pot.amount,
                 distribution: potDistribution,
-                eligibleWinners: eligibleWinners
+                eligibleWinners: eligibleWinners,
+                high: pot.hiLoBreakdown?.high || null,
+                low: pot.hiLoBreakdown?.low || null
             });
         }
         
@@ -501,10 +683,116 @@ export class PotManager {
         return distribution;
     }
     
+    // Run it twice: cada pote é dividido entre as corridas do board e cada parte vai para os vencedores
+    // daquela corrida (runs: [{ board, winners, handEvaluations, lowEvaluations }])
+    distributeAllPotsByRuns(runs) {
+        if (this.isShowdown) {
+            console.warn('⚠️ Showdown já realizado');
+            return this.lastDistribution;
+        }
+        
+        this.isShowdown = true;
+        const distribution = {
+            timestamp: new Date().toISOString(),
+            pots: [],
+            totalDistributed: 0,
+            winners: {},
+            uncalledBets: this.returnUncalledBets(),
+            oddChipOrder: [...this.oddChipOrder],
+            isHiLo: runs.some(run => run.lowEvaluations),
+            high: {},
+            low: {},
+            runs: runs.map((run, index) => ({
+                run: index + 1,
+                board: run.board,
+                winners: {} // playerId -> total ganho nesta corrida
+            }))
+        };
+        
+        const allPots = [this.mainPot, ...this.sidePots];
+        
+        for (const pot of allPots) {
+            if (pot.amount <= 0) continue;
+            
+            const runResults = runs.map(run => ({
+                highWinners: this.sortByOddChipOrder(this.getPotHighWinners(pot, run.winners, run.handEvaluations)),
+                lowWinners: run.lowEvaluations ? this.sortByOddChipOrder(this.getPotLowWinners(pot, run.lowEvaluations)) : [],
+                handEvaluations: run.handEvaluations
+            }));
+            
+            if (runResults.some(result => result.highWinners.length === 0)) {
+                console.warn(`⚠️ Nenhum vencedor elegível para pot ${pot.id}`);
+                continue;
+            }
+            
+            const potDistribution = pot.distributeRunsToWinners(runResults);
+            
+            potDistribution.forEach(({ playerId, amount, highAmount, lowAmount, runAmounts }) => {
+                distribution.winners[playerId] = (distribution.winners[playerId] || 0) + amount;
+                distribution.totalDistributed += amount;
+                
+                if (distribution.isHiLo) {
+                    distribution.high[playerId] = (distribution.high[playerId] || 0) + highAmount;
+                    distribution.low[playerId] = (distribution.low[playerId] || 0) + lowAmount;
+                }
+                
+                runAmounts.forEach((runAmount, index) => {
+                    if (runAmount > 0) {
+                        const runWinners = distribution.runs[index].winners;
+                        runWinners[playerId] = (runWinners[playerId] || 0) + runAmount;
+                    }
+                });
+            });
+            
+            distribution.pots.push({
+                potId: pot.id,
+                amount: pot.amount,
+                distribution: potDistribution,
+                eligibleWinners: potDistribution.map(d => d.playerId),
+                high: null,
+                low: null,
+                runs: pot.runBreakdown
+            });
+        }
+        
+        this.lastDistribution = distribution;
+        this.saveToHistory(distribution);
+        
+        console.log(`🏆 Distribuição completa (${runs.length} corridas): ${JSON.stringify(distribution.winners)}`);
+        return distribution;
+    }
+    
+    // Double board (bomb pot): cada board leva metade de cada pote, com a mesma divisão das corridas do run it twice
+    distributeAllPotsByBoards(boards) {
+        return this.distributeAllPotsByRuns(boards);
+    }
+    
+    // Melhor mão entre os elegíveis do pote (sem avaliações, usa a lista de vencedores informada)
+    getPotHighWinners(pot, winningPlayers, handEvaluations = {}) {
+        const evaluated = pot.getEligiblePlayers().filter(playerId => handEvaluations[playerId]);
+        
+        if (evaluated.length === 0) {
+            return winningPlayers.filter(playerId => pot.isPlayerEligible(playerId));
+        }
+        
+        const bestValue = Math.max(...evaluated.map(playerId => handEvaluations[playerId].value));
+        return evaluated.filter(playerId => handEvaluations[playerId].value === bestValue);
+    }
+    
+    // Melhor low qualificado entre os elegíveis do pote (vazio se ninguém qualifica)
+    getPotLowWinners(pot, lowEvaluations) {
+        const qualified = pot.getEligiblePlayers().filter(playerId => lowEvaluations[playerId]);
+        if (qualified.length === 0) return [];
+        
+        const bestValue = Math.min(...qualified.map(playerId => lowEvaluations[playerId].value));
+        return qualified.filter(playerId => lowEvaluations[playerId].value === bestValue);
+    }
+    
     // Salva distribuição no histórico
     saveToHistory(distribution) {
         this.history.push({
             ...distribution,
+            totalReturned: distribution.uncalledBets.reduce((sum, bet) => sum + bet.amount, 0),
             potsCount: this.sidePots.length + 1,
             totalAmount: this.totalAmount,
             mainPotAmount: this.mainPot.amount,
@@ -544,10 +832,14 @@ export class PotManager {
     resetForNewHand() {
         this.mainPot.reset();
         this.sidePots = [];
+        this.contributions.clear();
+        this.foldedPlayers.clear();
+        this.deadMoney = 0;
         this.totalAmount = 0;
         this.isShowdown = false;
         this.currentRound = 'preflop';
         this.lastDistribution = null;
+        this.oddChipOrder = [];
         
         console.log('🔄 PotManager resetado para nova mão');
         return this;
@@ -606,14 +898,8 @@ export class PotManager {
     
     // Obtém contribuição total de um jogador
     getPlayerTotalContribution(playerId) {
-        let total = 0;
-        
-        total += this.mainPot.getPlayerContribution(playerId);
-        this.sidePots.forEach(pot => {
-            total += pot.getPlayerContribution(playerId);
-        });
-        
-        return total;
+        const contribution = this.contributions.get(playerId);
+        return contribution ? contribution.amount : 0;
     }
     
     // Obtém quanto um jogador pode ganhar no máximo
@@ -647,6 +933,10 @@ export class PotManager {
             currentRound: this.currentRound,
             isShowdown: this.isShowdown,
             lastDistribution: this.lastDistribution,
+            oddChipOrder: this.oddChipOrder,
+            contributions: Array.from(this.contributions.values()).map(c => c.toJSON()),
+            foldedPlayers: Array.from(this.foldedPlayers),
+            deadMoney: this.deadMoney,
             potStats: this.getPotStats(),
             historyCount: this.history.length
         };
@@ -693,6 +983,14 @@ export class PotManager {
         manager.currentRound = jsonData.currentRound || 'preflop';
         manager.isShowdown = jsonData.isShowdown || false;
         manager.lastDistribution = jsonData.lastDistribution || null;
+        manager.oddChipOrder = jsonData.oddChipOrder || [];
+        manager.foldedPlayers = new Set(jsonData.foldedPlayers || []);
+        manager.deadMoney = jsonData.deadMoney || 0;
+        (jsonData.contributions || []).forEach(contribData => {
+            const contrib = new PlayerContribution(contribData.playerId);
+            Object.assign(contrib, contribData);
+            manager.contributions.set(contrib.playerId, contrib);
+        });
         manager.history = jsonData.history || [];
         
         return manager;
@@ -0,0 +1,344 @@
+/**
+ * SISTEMA DE RANGES DE MÃOS
+ * Arquivo: ranges-maos.js
+ * Responsável por: Parser de notação de ranges (22+, A2s+, KTo+), combos, remoção de cartas, equidade range contra range
+ */
+
+import { PokerCard } from './baralho-texas.js';
+import { cardToId } from './avaliador-rapido.js';
+import {
+    EQUITY_DEFAULTS,
+    createTally,
+    enumerateBoards,
+    sampleBoards,
+    resolveCard,
+    assertNoDuplicates,
+    countCombinations
+} from './equidade.js';
+
+// ================ CONSTANTES ================
+export const RANGE_RANKS = '23456789TJQKA'; // Ordem crescente, T = 10
+
+const RANK_TO_CARD = { T: '10' };
+const SUIT_LETTERS = { h: 'HEARTS', d: 'DIAMONDS', c: 'CLUBS', s: 'SPADES' };
+const SUIT_ORDER = ['s', 'h', 'd', 'c'];
+
+const RANK = '[2-9TJQKA]';
+const PAIR_PATTERN = new RegExp(`^(${RANK})\\1(\\+)?$`);
+const PAIR_SPAN_PATTERN = new RegExp(`^(${RANK})\\1-(${RANK})\\2$`);
+const HAND_PATTERN = new RegExp(`^(${RANK})(${RANK})([so])?(\\+)?$`);
+const HAND_SPAN_PATTERN = new RegExp(`^(${RANK})(${RANK})([so])?-(${RANK})(${RANK})([so])?$`);
+const COMBO_PATTERN = new RegExp(`^(${RANK})([hdcs])(${RANK})([hdcs])$`);
+
+const MAX_SAMPLE_ATTEMPTS = 100;
+
+// ================ PARSER ================
+
+// Expande uma string de range em combos [PokerCard, PokerCard] (aplica remoção de board e cartas mortas)
+export function parseRange(rangeString, options = {}) {
+    if (typeof rangeString !== 'string' || rangeString.trim() === '') {
+        throw new Error('Range vazio');
+    }
+    
+    const blocked = new Set([
+        ...(options.board || []),
+        ...(options.dead || [])
+    ].map(card => resolveCard(card).id));
+    
+    const combos = new Map(); // chave do combo -> [PokerCard, PokerCard]
+    
+    rangeString
+        .split(/[,\s]+/)
+        .filter(token => token.length > 0)
+        .forEach(token => {
+            expandToken(token).forEach(([first, second]) => {
+                const combo = [createCard(first), createCard(second)];
+                const key = comboKey(combo);
+                
+                if (combo.some(card => blocked.has(card.id))) return;
+                if (!combos.has(key)) combos.set(key, combo);
+            });
+        });
+    
+    return Array.from(combos.values());
+}
+
+// Expande um único token em pares de códigos de carta ('Ah', 'Kd')
+export function expandToken(rawToken) {
+    const token = normalizeToken(rawToken);
+    let match;
+    
+    // Combo específico: AhKh
+    if ((match = token.match(COMBO_PATTERN))) {
+        const first = match[1] + match[2];
+        const second = match[3] + match[4];
+        if (first === second) {
+            throw new Error(`Combo inválido: ${rawToken}`);
+        }
+        return [[first, second]];
+    }
+    
+    // Pares: 22, 22+
+    if ((match = token.match(PAIR_PATTERN))) {
+        const start = rankIndex(match[1]);
+        const end = match[2] ? RANGE_RANKS.length - 1 : start;
+        return rankSpan(start, end).flatMap(index => pairCombos(RANGE_RANKS[index]));
+    }
+    
+    // Faixa de pares: 22-55
+    if ((match = token.match(PAIR_SPAN_PATTERN))) {
+        const [low, high] = sortIndexes(rankIndex(match[1]), rankIndex(match[2]));
+        return rankSpan(low, high).flatMap(index => pairCombos(RANGE_RANKS[index]));
+    }
+    
+    // Mãos não pareadas: A2s, KTo, AK, A2s+
+    if ((match = token.match(HAND_PATTERN))) {
+        const [high, low] = sortIndexes(rankIndex(match[1]), rankIndex(match[2])).reverse();
+        if (high === low) {
+            throw new Error(`Token inválido: ${rawToken}`);
+        }
+        const end = match[4] ? high - 1 : low;
+        return rankSpan(low, end).flatMap(kicker => unpairedCombos(RANGE_RANKS[high], RANGE_RANKS[kicker], match[3]));
+    }
+    
+    // Faixa de kickers com a mesma carta alta: A5s-A2s
+    if ((match = token.match(HAND_SPAN_PATTERN))) {
+        const suitedness = match[3] || match[6];
+        if (match[1] !== match[4] || (match[3] && match[6] && match[3] !== match[6])) {
+            throw new Error(`Faixa inválida: ${rawToken}`);
+        }
+        const high = rankIndex(match[1]);
+        const [low, top] = sortIndexes(rankIndex(match[2]), rankIndex(match[5]));
+        if (top >= high) {
+            throw new Error(`Faixa inválida: ${rawToken}`);
+        }
+        return rankSpan(low, top).flatMap(kicker => unpairedCombos(RANGE_RANKS[high], RANGE_RANKS[kicker], suitedness));
+    }
+    
+    throw new Error(`Token de range inválido: ${rawToken}`);
+}
+
+// ================ EQUIDADE RANGE CONTRA RANGE ================
+
+// Calcula equidade entre ranges (strings ou listas de combos) com board parcial
+export function calculateRangeEquity(ranges, board = [], options = {}) {
+    const settings = { ...EQUITY_DEFAULTS, ...options };
+    const rng = settings.rng || Math.random;
+    
+    if (!Array.isArray(ranges) || ranges.length < 2) {
+        throw new Error('São necessários pelo menos 2 ranges para calcular equidade');
+    }
+    
+    const boardCards = board.map(resolveCard);
+    const deadCards = settings.dead.map(resolveCard);
+    assertNoDuplicates([...boardCards, ...deadCards]);
+    const blockedCards = new Set([...boardCards, ...deadCards].map(card => card.id));
+    
+    const rangeCombos = ranges.map((range, index) => {
+        const combos = typeof range === 'string'
+            ? parseRange(range, { board: boardCards, dead: deadCards })
+            : range
+                .map(combo => combo.map(resolveCard))
+                .filter(combo => combo.every(card => !blockedCards.has(card.id)));
+        
+        if (combos.length === 0) {
+            throw new Error(`Range ${index + 1} não tem combos disponíveis`);
+        }
+        return combos.map(combo => combo.map(cardToId));
+    });
+    
+    const boardIds = boardCards.map(cardToId);
+    const blockedIds = new Set([...boardIds, ...deadCards.map(cardToId)]);
+    const baseIds = Array.from({ length: 52 }, (_, id) => id).filter(id => !blockedIds.has(id));
+    const missing = 5 - boardIds.length;
+    
+    const tally = createTally(ranges.length);
+    const matchups = countMatchups(rangeCombos);
+    const boardsPerMatchup = countCombinations(baseIds.length - ranges.length * 2, missing);
+    const useExact = matchups * boardsPerMatchup <= settings.exactThreshold;
+    
+    if (useExact) {
+        forEachMatchup(rangeCombos, holeIds => {
+            const used = new Set(holeIds.flat());
+            const remaining = baseIds.filter(id => !used.has(id));
+            enumerateBoards(holeIds, boardIds, remaining, missing, tally);
+        });
+    } else {
+        for (let t = 0; t < settings.iterations; t++) {
+            const holeIds = sampleMatchup(rangeCombos, rng);
+            if (!holeIds) continue;
+            
+            const used = new Set(holeIds.flat());
+            const remaining = baseIds.filter(id => !used.has(id));
+            sampleBoards(holeIds, boardIds, remaining, missing, 1, rng, tally);
+        }
+    }
+    
+    if (tally.trials === 0) {
+        throw new Error('Ranges sem combinações compatíveis entre si');
+    }
+    
+    const toPercent = (count) => (count / tally.trials) * 100;
+    return {
+        method: useExact ? 'exact' : 'monte-carlo',
+        trials: tally.trials,
+        board: boardCards.map(card => card.id),
+        players: ranges.map((range, index) => ({
+            index: index,
+            range: typeof range === 'string' ? range : `${range.length} combos`,
+            combos: rangeCombos[index].length,
+            win: toPercent(tally.wins[index]),
+            tie: toPercent(tally.ties[index]),
+            equity: toPercent(tally.equity[index])
+        }))
+    };
+}
+
+// ================ FUNÇÕES AUXILIARES ================
+
+// Conta combos de um range (útil para exibir "% de mãos")
+export function countRangeCombos(rangeString, options = {}) {
+    return parseRange(rangeString, options).length;
+}
+
+// Formata combo como 'AhKh'
+export function formatCombo(combo) {
+    return combo.map(card => {
+        const rank = card.rank === '10' ? 'T' : card.rank;
+        return rank + card.suit.charAt(0).toLowerCase();
+    }).join('');
+}
+
+// Padroniza maiúsculas/minúsculas: valores em maiúscula, naipes e s/o em minúscula
+function normalizeToken(token) {
+    const clean = token.replace(/10/g, 'T');
+    const combo = clean.match(/^([2-9tjqka])([hdcs])([2-9tjqka])([hdcs])$/i);
+    
+    if (combo) {
+        return combo[1].toUpperCase() + combo[2].toLowerCase() + combo[3].toUpperCase() + combo[4].toLowerCase();
+    }
+    
+    return clean
+        .split('-')
+        .map(part => part.slice(0, 2).toUpperCase() + part.slice(2).toLowerCase())
+        .join('-');
+}
+
+function rankIndex(rank) {
+    return RANGE_RANKS.indexOf(rank);
+}
+
+function sortIndexes(a, b) {
+    return a <= b ? [a, b] : [b, a];
+}
+
+function rankSpan(start, end) {
+    const indexes = [];
+    for (let i = start; i <= end; i++) indexes.push(i);
+    return indexes;
+}
+
+// 6 combos de par
+function pairCombos(rank) {
+    const combos = [];
+    for (let i = 0; i < SUIT_ORDER.length; i++) {
+        for (let j = i + 1; j < SUIT_ORDER.length; j++) {
+            combos.push([rank + SUIT_ORDER[i], rank + SUIT_ORDER[j]]);
+        }
+    }
+    return combos;
+}
+
+// 4 combos suited, 12 offsuit ou 16 quando não especificado
+function unpairedCombos(high, low, suitedness) {
+    const combos = [];
+    SUIT_ORDER.forEach(suitA => {
+        SUIT_ORDER.forEach(suitB => {
+            const suited = suitA === suitB;
+            if (suitedness === 's' && !suited) return;
+            if (suitedness === 'o' && suited) return;
+            combos.push([high + suitA, low + suitB]);
+        });
+    });
+    return combos;
+}
+
+// 'Ah' -> PokerCard
+function createCard(code) {
+    const rank = RANK_TO_CARD[code[0]] || code[0];
+    return new PokerCard(SUIT_LETTERS[code[1]], rank);
+}
+
+function comboKey(combo) {
+    return combo.map(card => card.id).sort().join('-');
+}
+
+// Quantidade de confrontos (produto cartesiano, sem checar conflitos)
+function countMatchups(rangeCombos) {
+    return rangeCombos.reduce((total, combos) => total * combos.length, 1);
+}
+
+// Percorre todos os confrontos sem cartas repetidas
+function forEachMatchup(rangeCombos, callback) {
+    const chosen = [];
+    const used = new Set();
+    
+    const visit = (depth) => {
+        if (depth === rangeCombos.length) {
+            callback(chosen.map(combo => [...combo]));
+            return;
+        }
+        for (const combo of rangeCombos[depth]) {
+            if (used.has(combo[0]) || used.has(combo[1])) continue;
+            chosen.push(combo);
+            used.add(combo[0]);
+            used.add(combo[1]);
+            visit(depth + 1);
+            used.delete(combo[0]);
+            used.delete(combo[1]);
+            chosen.pop();
+        }
+    };
+    
+    visit(0);
+}
+
+// Sorteia um combo de cada range sem cartas repetidas (null se não conseguir)
+function sampleMatchup(rangeCombos, rng) {
+    for (let attempt = 0; attempt < MAX_SAMPLE_ATTEMPTS; attempt++) {
+        const used = new Set();
+        const chosen = [];
+        
+        for (const combos of rangeCombos) {
+            const combo = combos[Math.floor(rng() * combos.length)];
+            if (used.has(combo[0]) || used.has(combo[1])) break;
+            used.add(combo[0]);
+            used.add(combo[1]);
+            chosen.push(combo);
+        }
+        
+        if (chosen.length === rangeCombos.length) return chosen;
+    }
+    return null;
+}
+
+// Exemplo de uso rápido:
+/*
+import { parseRange, calculateRangeEquity } from './ranges-maos.js';
+
+const combos = parseRange('22+, A2s+, KTo+, 75s', { board: ['AH', '7S', '2C'] });
+console.log(`${combos.length} combos`);
+
+const result = calculateRangeEquity(['QQ+, AKs', '22+, A2s+, KTo+'], ['AH', '7S', '2C']);
+console.log(result.players.map(p => `${p.range}: ${p.equity.toFixed(1)}%`));
+*/
+
+// Exporta tudo
+export default {
+    RANGE_RANKS,
+    parseRange,
+    expandToken,
+    calculateRangeEquity,
+    countRangeCombos,
+    formatCombo
+};
\ No newline at end of file
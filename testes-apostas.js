@@ -0,0 +1,262 @@
+/**
+ * TESTES DE APOSTAS
+ * Arquivo: testes-apostas.js
+ * Responsável por: Cenários de reabertura de apostas no no-limit (raises completos e all-ins incompletos) e de potes após fold, contra o PokerGameManager
+ *
+ * Uso (offline, Node 20+): node testes-apostas.js
+ */
+
+import * as deckModule from './baralho-texas.js';
+import * as playerModule from './jogador.js';
+import * as potModule from './pot.js';
+import * as tournamentModule from './torneio.js';
+import * as evaluatorModule from './avaliador-maos.js';
+import * as shuffleModule from './embaralhamento-justo.js';
+import * as structureModule from './estruturas-apostas.js';
+
+// poker-manager.js usa os módulos como globais (como na página da mesa)
+Object.assign(globalThis, deckModule, playerModule, potModule, tournamentModule, evaluatorModule, shuffleModule, structureModule);
+
+const { createPokerGame, GAME_STATES } = await import('./poker-manager.js');
+const { BETTING_LIMITS } = structureModule;
+
+// ================ CENÁRIOS DE REABERTURA ================
+
+// 3 jogadores (blinds 10/20): p2 no botão, p3 small blind, p1 big blind;
+// 4 jogadores: p2 no botão, p3 small blind, p4 big blind, p1 primeiro a falar
+export const REOPENING_SCENARIOS = [
+    {
+        name: 'Raise completo reabre a ação',
+        stacks: [1000, 1000, 1000],
+        actions: [['p2', 'raise', 60], ['p3', 'fold'], ['p1', 'raise', 180]],
+        expect: { playerId: 'p2', canRaise: true, minRaiseTo: 340 }
+    },
+    {
+        name: 'All-in incompleto não reabre para quem já agiu',
+        stacks: [1000, 1000, 130],
+        actions: [['p2', 'raise', 100], ['p3', 'allin'], ['p1', 'call']],
+        expect: { playerId: 'p2', canRaise: false, canCall: true }
+    },
+    {
+        name: 'Quem ainda não agiu pode aumentar sobre all-in incompleto',
+        stacks: [1000, 1000, 130],
+        actions: [['p2', 'raise', 100], ['p3', 'allin']],
+        expect: { playerId: 'p1', canRaise: true, minRaiseTo: 210 }
+    },
+    {
+        name: 'All-in completo reabre a ação',
+        stacks: [1000, 1000, 300],
+        actions: [['p2', 'raise', 100], ['p3', 'allin'], ['p1', 'fold']],
+        expect: { playerId: 'p2', canRaise: true, minRaiseTo: 500 }
+    },
+    {
+        name: 'Com a ação fechada, all-in acima do call não é permitido',
+        stacks: [2000, 2000, 130, 2000],
+        actions: [['p1', 'raise', 100], ['p2', 'fold'], ['p3', 'allin'], ['p4', 'call']],
+        expect: { playerId: 'p1', actions: ['fold', 'call'], rejected: [['allin'], ['raise', 1900]] }
+    },
+    {
+        name: 'All-ins incompletos que somam um raise completo reabrem a ação',
+        stacks: [2000, 2000, 170, 230],
+        actions: [['p1', 'raise', 100], ['p2', 'fold'], ['p3', 'allin'], ['p4', 'allin']],
+        expect: { playerId: 'p1', canRaise: true, minRaiseTo: 310 }
+    }
+];
+
+// ================ CENÁRIOS DE POTES ================
+
+// Ações até o fim das apostas do preflop; depois, todos dão check até o showdown
+export const POT_SCENARIOS = [
+    {
+        name: 'Fold comum deixa um único pote para quem segue na mão',
+        stacks: [1000, 1000, 1000],
+        actions: [['p2', 'raise', 60], ['p3', 'fold'], ['p1', 'call']],
+        expect: { pots: [{ amount: 130, eligible: ['p1', 'p2'] }], folded: { p3: 990 } }
+    }
+];
+
+// ================ EXECUÇÃO ================
+
+// Cria a mesa do cenário e aplica as ações em ordem
+async function playScenario(scenario) {
+    const game = createPokerGame({
+        name: `Cenário: ${scenario.name}`,
+        gameType: 'cash',
+        maxPlayers: scenario.stacks.length,
+        minPlayers: 2,
+        smallBlind: 10,
+        bigBlind: 20,
+        bettingLimit: BETTING_LIMITS.NO_LIMIT,
+        seed: 'reopening'
+    });
+    
+    await game.initialize();
+    scenario.stacks.forEach((chips, index) => game.addPlayer(`p${index + 1}`, `P${index + 1}`, chips));
+    game.startNewHand();
+    
+    scenario.actions.forEach(([playerId, action, amount = 0]) => {
+        if (game.currentPlayerTurn !== playerId) {
+            throw new Error(`Esperada a vez de ${playerId}, mas é de ${game.currentPlayerTurn}`);
+        }
+        game.processPlayerAction(playerId, action, amount);
+    });
+    
+    return game;
+}
+
+// Confere as ações permitidas ao jogador da vez e retorna os erros encontrados
+function checkExpectation(game, expect) {
+    const errors = [];
+    const legal = game.getLegalActions(expect.playerId);
+    
+    if (!legal.isTurn) {
+        errors.push(`Esperada a vez de ${expect.playerId}, mas é de ${game.currentPlayerTurn}`);
+    }
+    if (expect.canRaise !== undefined && legal.actions.includes('raise') !== expect.canRaise) {
+        errors.push(`Raise ${expect.canRaise ? 'deveria' : 'não deveria'} ser permitido`);
+    }
+    if (expect.canCall !== undefined && legal.actions.includes('call') !== expect.canCall) {
+        errors.push(`Call ${expect.canCall ? 'deveria' : 'não deveria'} ser permitido`);
+    }
+    if (expect.minRaiseTo !== undefined && legal.minRaiseTo !== expect.minRaiseTo) {
+        errors.push(`Raise mínimo esperado ${expect.minRaiseTo}, obtido ${legal.minRaiseTo}`);
+    }
+    if (expect.actions !== undefined && legal.actions.join(',') !== expect.actions.join(',')) {
+        errors.push(`Ações esperadas ${expect.actions.join('/')}, obtidas ${legal.actions.join('/')}`);
+    }
+    
+    const player = game.playerManager.getPlayerById(expect.playerId);
+    (expect.rejected || []).forEach(([action, amount = 0]) => {
+        try {
+            game.validateAction(player, action, amount);
+            errors.push(`${action}${amount > 0 ? ` ${amount}` : ''} deveria ser recusado`);
+        } catch (error) {
+            // Recusado, como esperado
+        }
+    });
+    
+    return errors;
+}
+
+// Executa os cenários de reabertura e retorna o resultado de cada um
+export async function runReopeningScenarios(scenarios = REOPENING_SCENARIOS) {
+    console.log('🧪 Executando cenários de reabertura de apostas...');
+    
+    const results = [];
+    
+    for (const scenario of scenarios) {
+        let errors = [];
+        let game = null;
+        
+        try {
+            game = await playScenario(scenario);
+            errors = checkExpectation(game, scenario.expect);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        
+        // Para o timer de ação e a próxima mão agendada
+        game?.pauseGame();
+        
+        results.push({
+            name: scenario.name,
+            passed: errors.length === 0,
+            errors: errors
+        });
+    }
+    
+    return results;
+}
+
+// Confere os potes depois das ações, joga a mão até o showdown e confere a distribuição
+function checkPotsAndShowdown(game, expect) {
+    const errors = [];
+    const pots = game.potManager.getAllPots().filter(pot => pot.amount > 0);
+    const describe = (amount, eligible) => `${amount} [${[...eligible].sort().join(',')}]`;
+    
+    const obtained = pots.map(pot => describe(pot.amount, pot.eligiblePlayers)).join(' + ');
+    const expected = expect.pots.map(pot => describe(pot.amount, pot.eligible)).join(' + ');
+    if (obtained !== expected) {
+        errors.push(`Potes esperados ${expected}, obtidos ${obtained}`);
+    }
+    
+    const totalChips = game.playerManager.players.reduce((sum, p) => sum + p.chips + p.bet, game.potManager.totalAmount);
+    
+    while (game.currentPlayerTurn && game.state !== GAME_STATES.BETWEEN_HANDS) {
+        game.processPlayerAction(game.currentPlayerTurn, 'check');
+    }
+    
+    const distribution = game.potManager.lastDistribution;
+    if (!distribution) {
+        errors.push('Mão não chegou ao showdown');
+        return errors;
+    }
+    
+    const eligible = new Set(expect.pots.flatMap(pot => pot.eligible));
+    Object.keys(distribution.winners)
+        .filter(playerId => !eligible.has(playerId))
+        .forEach(playerId => errors.push(`${playerId} recebeu fichas sem ser elegível`));
+    
+    Object.entries(expect.folded || {}).forEach(([playerId, chips]) => {
+        const player = game.playerManager.getPlayerById(playerId);
+        if (player.chips !== chips) {
+            errors.push(`${playerId} deveria terminar com ${chips}, terminou com ${player.chips}`);
+        }
+    });
+    
+    const finalChips = game.playerManager.players.reduce((sum, p) => sum + p.chips, 0);
+    if (finalChips !== totalChips) {
+        errors.push(`Fichas não conservadas: ${totalChips} antes do showdown, ${finalChips} depois`);
+    }
+    
+    return errors;
+}
+
+// Executa os cenários de potes e retorna o resultado de cada um
+export async function runPotScenarios(scenarios = POT_SCENARIOS) {
+    console.log('🧪 Executando cenários de potes...');
+    
+    const results = [];
+    
+    for (const scenario of scenarios) {
+        let errors = [];
+        let game = null;
+        
+        try {
+            game = await playScenario(scenario);
+            errors = checkPotsAndShowdown(game, scenario.expect);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        
+        game?.pauseGame();
+        
+        results.push({
+            name: scenario.name,
+            passed: errors.length === 0,
+            errors: errors
+        });
+    }
+    
+    return results;
+}
+
+async function run() {
+    const results = [
+        ...await runReopeningScenarios(),
+        ...await runPotScenarios()
+    ];
+    
+    results.forEach(result => {
+        console.log(`${result.passed ? '✅' : '❌'} ${result.name}${result.passed ? '' : `: ${result.errors.join('; ')}`}`);
+    });
+    
+    const passed = results.filter(r => r.passed).length;
+    console.log(`🧪 Cenários: ${passed}/${results.length} aprovados`);
+    
+    if (passed < results.length) {
+        process.exitCode = 1;
+    }
+}
+
+run();
\ No newline at end of file
@@ -31,7 +31,15 @@ export const PAYOUT_STRUCTURES = {
     MTT: [0.40, 0.20, 0.12, 0.08, 0.06, 0.05, 0.04, 0.03, 0.02] // 9 lugares
 };
 
+// Quem paga o ante: cada jogador, o big blind pela mesa inteira ou o botão pela mesa inteira
+export const ANTE_TYPES = {
+    CLASSIC: 'classic',
+    BIG_BLIND: 'big-blind',
+    BUTTON: 'button'
+};
+
 // ================ ESTRUTURA DE BLINDS ================
+// Cada nível pode trazer anteType; sem ele vale o anteType do torneio (padrão: classic)
 export const BLIND_STRUCTURES = {
     TURBO: [
         { level: 1, small: 10, big: 20, ante: 0, duration: 5, color: 'green' },
@@ -74,6 +82,22 @@ export const BLIND_STRUCTURES = {
         { level: 10, small: 400, big: 800, ante: 50, duration: 20, color: 'orange' },
         { level: 11, small: 500, big: 1000, ante: 75, duration: 20, color: 'orange' },
         { level: 12, small: 750, big: 1500, ante: 100, duration: 20, color: 'red' }
+    ],
+    
+    // Big blind ante: o BB paga um ante do tamanho do big blind pela mesa toda
+    BIG_BLIND_ANTE: [
+        { level: 1, small: 10, big: 20, ante: 0, duration: 10, color: 'green' },
+        { level: 2, small: 15, big: 30, ante: 0, duration: 10, color: 'green' },
+        { level: 3, small: 25, big: 50, ante: 0, duration: 10, color: 'green' },
+        { level: 4, small: 50, big: 100, ante: 100, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'green' },
+        { level: 5, small: 75, big: 150, ante: 150, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'yellow' },
+        { level: 6, small: 100, big: 200, ante: 200, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'yellow' },
+        { level: 7, small: 150, big: 300, ante: 300, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'yellow' },
+        { level: 8, small: 200, big: 400, ante: 400, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'orange' },
+        { level: 9, small: 300, big: 600, ante: 600, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'orange' },
+        { level: 10, small: 400, big: 800, ante: 800, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'orange' },
+        { level: 11, small: 500, big: 1000, ante: 1000, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'red' },
+        { level: 12, small: 750, big: 1500, ante: 1500, anteType: ANTE_TYPES.BIG_BLIND, duration: 10, color: 'red' }
     ]
 };
 
@@ -216,10 +240,12 @@ export class TournamentPlayer {
     }
     
     // Calcula valor M (Harrington M-ratio)
-    getMValue(smallBlind = 0, bigBlind = 0, ante = 0, playersAtTable = 9) {
+    getMValue(smallBlind = 0, bigBlind = 0, ante = 0, playersAtTable = 9, anteType = ANTE_TYPES.CLASSIC) {
         if (smallBlind === 0 || bigBlind === 0) return 0;
         
-        const costPerRound = smallBlind + bigBlind + (ante * playersAtTable);
+        // BB ante e ante do botão já valem pela mesa inteira
+        const antesPerHand = anteType === ANTE_TYPES.CLASSIC ? ante * playersAtTable : ante;
+        const costPerRound = smallBlind + bigBlind + antesPerHand;
         if (costPerRound === 0) return 0;
         
         return this.stack / costPerRound;
@@ -248,7 +274,8 @@ export class TournamentPlayer {
 export class PokerTournament {
     constructor(config = {}) {
         // Configuração básica
-        this.id = config.id || `tournament_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.random = config.random || Math.random; // Gerador [0, 1) para IDs (injetável no modo determinístico)
+        this.id = config.id || `tournament_${Date.now()}_${this.random().toString(36).substr(2, 9)}`;
         this.name = config.name || 'Torneio de Poker';
         this.type = config.type || TOURNAMENT_TYPES.SNG;
         this.status = config.status || TOURNAMENT_STATUS.REGISTERING;
@@ -274,6 +301,8 @@ export class PokerTournament {
         this.currentSmallBlind = config.currentSmallBlind || 10;
         this.currentBigBlind = config.currentBigBlind || 20;
         this.currentAnte = config.currentAnte || 0;
+        this.anteType = config.anteType || ANTE_TYPES.CLASSIC; // Padrão para níveis sem anteType
+        this.currentAnteType = config.currentAnteType || this.anteType;
         this.levelStartTime = config.levelStartTime || new Date();
         this.levelDuration = config.levelDuration || 10; // minutos
         this.nextBreakAtLevel = config.nextBreakAtLevel || 6;
@@ -492,6 +521,7 @@ export class PokerTournament {
         this.currentSmallBlind = level.small;
         this.currentBigBlind = level.big;
         this.currentAnte = level.ante;
+        this.currentAnteType = level.anteType || this.anteType;
         this.levelDuration = level.duration;
         this.levelStartTime = new Date();
         
@@ -500,18 +530,20 @@ export class PokerTournament {
             this.startBreak();
         }
         
+        const anteLabel = this.currentAnte > 0 ? ` ante ${this.currentAnte} (${this.currentAnteType})` : '';
         this.logEvent('level_advanced',
-            `Nível ${this.currentLevel}: ${this.currentSmallBlind}/${this.currentBigBlind}${this.currentAnte > 0 ? ` ante ${this.currentAnte}` : ''}`,
+            `Nível ${this.currentLevel}: ${this.currentSmallBlind}/${this.currentBigBlind}${anteLabel}`,
             {
                 level: this.currentLevel,
                 smallBlind: this.currentSmallBlind,
                 bigBlind: this.currentBigBlind,
                 ante: this.currentAnte,
+                anteType: this.currentAnteType,
                 duration: this.levelDuration
             }
         );
         
-        console.log(`📈 Nível ${this.currentLevel}: ${this.currentSmallBlind}/${this.currentBigBlind}${this.currentAnte > 0 ? ` ante ${this.currentAnte}` : ''}`);
+        console.log(`📈 Nível ${this.currentLevel}: ${this.currentSmallBlind}/${this.currentBigBlind}${anteLabel}`);
         return true;
     }
     
@@ -526,6 +558,7 @@ export class PokerTournament {
                 small: this.currentSmallBlind,
                 big: this.currentBigBlind,
                 ante: this.currentAnte,
+                anteType: this.currentAnteType,
                 duration: this.levelDuration,
                 color: level.color || 'green',
                 startTime: this.levelStartTime,
@@ -537,6 +570,7 @@ export class PokerTournament {
                 small: nextLevel.small,
                 big: nextLevel.big,
                 ante: nextLevel.ante,
+                anteType: nextLevel.anteType || this.anteType,
                 duration: nextLevel.duration,
                 color: nextLevel.color
             } : null,
@@ -976,7 +1010,7 @@ export class PokerTournament {
     // Adiciona evento ao log
     logEvent(type, message, data = {}) {
         const event = {
-            id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `event_${this.random().toString(36).substr(2, 9)}`,
             type: type,
             message: message,
             data: data,
@@ -1004,6 +1038,7 @@ export class PokerTournament {
             level: this.currentLevel,
             blinds: `${this.currentSmallBlind}/${this.currentBigBlind}`,
             ante: this.currentAnte,
+            anteType: this.currentAnteType,
             timestamp: new Date().toISOString()
         };
         
@@ -1070,7 +1105,7 @@ export class PokerTournament {
                 nickname: p.nickname,
                 stack: p.stack,
                 isBot: p.isBot,
-                mValue: p.getMValue(this.currentSmallBlind, this.currentBigBlind, this.currentAnte, 9),
+                mValue: p.getMValue(this.currentSmallBlind, this.currentBigBlind, this.currentAnte, 9, this.currentAnteType),
                 status: p.getStatus()
             }));
         }
@@ -1109,6 +1144,7 @@ export class PokerTournament {
                 smallBlind: level.small,
                 bigBlind: level.big,
                 ante: level.ante,
+                anteType: level.anteType || this.anteType,
                 color: level.color,
                 estimatedPlayers: estimatedPlayers,
                 duration: level.duration
@@ -1150,6 +1186,8 @@ export class PokerTournament {
             currentSmallBlind: this.currentSmallBlind,
             currentBigBlind: this.currentBigBlind,
             currentAnte: this.currentAnte,
+            anteType: this.anteType,
+            currentAnteType: this.currentAnteType,
             levelStartTime: this.levelStartTime?.toISOString(),
             levelDuration: this.levelDuration,
             nextBreakAtLevel: this.nextBreakAtLevel,
@@ -1195,8 +1233,9 @@ export class PokerTournament {
         };
     }
     
-    static fromJSON(jsonData) {
+    static fromJSON(jsonData, random = Math.random) {
         const config = {
+            random: random,
             id: jsonData.id,
             name: jsonData.name,
             type: jsonData.type,
@@ -1220,6 +1259,8 @@ export class PokerTournament {
             currentSmallBlind: jsonData.currentSmallBlind,
             currentBigBlind: jsonData.currentBigBlind,
             currentAnte: jsonData.currentAnte,
+            anteType: jsonData.anteType,
+            currentAnteType: jsonData.currentAnteType,
             levelStartTime: jsonData.levelStartTime ? new Date(jsonData.levelStartTime) : null,
             levelDuration: jsonData.levelDuration,
             nextBreakAtLevel: jsonData.nextBreakAtLevel,
@@ -1329,14 +1370,15 @@ export class PokerTournament {
 // ================ FUNÇÕES DE UTILIDADE ================
 
 // Cria estrutura de blinds customizada
-export function createBlindStructure(base = 10, levels = 12, multiplier = 1.5, isTurbo = false) {
+export function createBlindStructure(base = 10, levels = 12, multiplier = 1.5, isTurbo = false, anteType = ANTE_TYPES.CLASSIC) {
     const structure = [];
     let currentSmall = base;
     
     for (let i = 1; i <= levels; i++) {
         const small = currentSmall;
         const big = small * 2;
-        const ante = i >= 7 ? Math.floor(big * 0.1) : 0;
+        const anteSize = anteType === ANTE_TYPES.CLASSIC ? Math.floor(big * 0.1) : big; // BB/botão pagam pela mesa
+        const ante = i >= 7 ? anteSize : 0;
         const duration = isTurbo ? 5 : 10;
         
         // Determina cor baseada no nível
@@ -1349,6 +1391,7 @@ export function createBlindStructure(base = 10, levels = 12, multiplier = 1.5, i
             small: small,
             big: big,
             ante: ante,
+            anteType: anteType,
             duration: duration,
             color: color
         });
@@ -1384,8 +1427,8 @@ export function calculateICM(stacks, prizes) {
 }
 
 // Gera ID único para torneio
-export function generateTournamentId() {
-    return `t_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+export function generateTournamentId(random = Math.random, timestamp = Date.now()) {
+    return `t_${timestamp}_${random().toString(36).substr(2, 9)}`;
 }
 
 // Verifica se pode iniciar torneio
@@ -1412,6 +1455,7 @@ export default {
     TOURNAMENT_TYPES,
     TOURNAMENT_STATUS,
     PAYOUT_STRUCTURES,
+    ANTE_TYPES,
     BLIND_STRUCTURES,
     
     // Classes